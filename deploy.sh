@@ -20,14 +20,23 @@ fi
 
 echo "📦 Creating required Cloudflare resources..."
 
-# Create KV namespace for caching
-echo "🗃️ Creating KV namespace..."
-wrangler kv:namespace create "SPORTS_CACHE" 2>/dev/null || echo "   KV namespace may already exist"
+# Create KV namespaces: caching, API key records and stored responses
+echo "🗃️ Creating KV namespaces..."
+for namespace in SPORTS_CACHE API_KEYS CONVERSATION_STATE; do
+    wrangler kv namespace create "$namespace" 2>/dev/null || echo "   $namespace may already exist"
+done
 
 # Create R2 bucket for cold storage
 echo "💾 Creating R2 bucket..."
 wrangler r2 bucket create sports-data-bucket 2>/dev/null || echo "   R2 bucket may already exist"
 
+# wrangler deploy fails on the placeholder namespace ids
+if grep -q '_NAMESPACE_ID>' wrangler.toml; then
+    echo "❌ wrangler.toml still has placeholder KV namespace ids."
+    echo "   Fill in the ids printed above (or from 'wrangler kv namespace list') and run again."
+    exit 1
+fi
+
 # Deploy the worker
 echo "🚀 Deploying worker..."
 wrangler deploy
@@ -36,8 +45,8 @@ if [ $? -eq 0 ]; then
     echo "✅ Deployment successful!"
     echo ""
     echo "🔧 Next steps:"
-    echo "   1. Update wrangler.toml with your KV namespace ID and R2 bucket name"
-    echo "   2. Set environment variables (MLB_MCP_URL, OPENAI_API_KEY, etc.)"
+    echo "   1. Set environment variables (MLB_MCP_URL, OPENAI_API_KEY, etc.)"
+    echo "   2. Add an API key record to API_KEYS (see 'API Keys' in the README)"
     echo "   3. Test your deployment:"
     echo ""
     echo "📝 Test commands:"
@@ -47,6 +56,7 @@ if [ $? -eq 0 ]; then
     echo '   # Get team info'
     echo '   curl -X POST https://sports-proxy.your-domain.workers.dev/stream \'
     echo '     -H "Content-Type: application/json" \'
+    echo '     -H "Authorization: Bearer sp_your_api_key" \'
     echo '     -d '\''{"tool":"get_team_info","args":{"teamId":"147","season":"2025"}}'\'''
     echo ""
     echo "🔗 MCP URL for OpenAI integration:"
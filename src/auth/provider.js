@@ -1,22 +1,44 @@
 /**
  * Simple OAuth/Auth Provider for Sports Proxy
- * Handles API key validation and basic authentication
+ * Handles API key validation, scope checks and basic authentication
  */
 
+/**
+ * Default rate limits per tier (null = no limit)
+ */
+const TIER_RATE_LIMITS = {
+  standard: { requests: 1000, window: 3600 },  // per hour
+  premium: { requests: 10000, window: 3600 },  // per hour
+  unlimited: null
+};
+
+/**
+ * Scope required for each protected route prefix
+ */
+const ROUTE_SCOPES = [
+  { prefix: '/responses', scope: 'responses' },
+  { prefix: '/mcp', scope: 'tools:call' },
+  { prefix: '/sse', scope: 'tools:call' },
+  { prefix: '/stream', scope: 'tools:call' },
+  { prefix: '/admin', scope: 'admin' }
+];
+
+const PUBLIC_PATHS = ['/', '/health'];
+
 class AuthProvider {
   constructor(env) {
     this.env = env;
-    this.validApiKeys = env.VALID_API_KEYS ? env.VALID_API_KEYS.split(',') : [];
+    this.keyStore = env.API_KEYS; // KV namespace holding API key records
   }
 
   /**
-   * Validate API key from request headers
+   * Extract the API key from the Authorization header
    */
-  validateApiKey(request) {
+  _extractToken(request) {
     const authHeader = request.headers.get('Authorization');
     
     if (!authHeader) {
-      return { valid: false, error: 'Missing Authorization header' };
+      return { error: 'Missing Authorization header' };
     }
     
     // Support both "Bearer token" and "API-Key token" formats
@@ -26,58 +48,106 @@ class AuthProvider {
     } else if (authHeader.startsWith('API-Key ')) {
       token = authHeader.substring(8);
     } else {
-      return { valid: false, error: 'Invalid Authorization header format' };
+      return { error: 'Invalid Authorization header format' };
     }
     
     if (!token) {
-      return { valid: false, error: 'Missing token' };
+      return { error: 'Missing token' };
     }
     
-    // For development, allow any token if no valid keys are configured
-    if (this.validApiKeys.length === 0 && this.env.ENVIRONMENT === 'development') {
+    return { token };
+  }
+
+  /**
+   * Validate API key from request headers against the KV key store
+   */
+  async validateApiKey(request) {
+    const { token, error } = this._extractToken(request);
+    if (error) {
+      return { valid: false, error };
+    }
+
+    // For development, allow any token if no key store is configured
+    if (!this.keyStore && this.env.ENVIRONMENT === 'development') {
       return { 
         valid: true, 
-        user: { id: 'dev-user', tier: 'unlimited' },
+        user: { id: 'dev-user', tier: 'unlimited', scopes: ['*'] },
         warning: 'Development mode - all tokens accepted'
       };
     }
     
-    // Check against configured API keys
-    if (this.validApiKeys.includes(token)) {
-      return { 
-        valid: true, 
-        user: this.getUserFromToken(token)
-      };
+    if (!this.keyStore) {
+      return { valid: false, error: 'API key store not configured' };
     }
     
-    return { valid: false, error: 'Invalid API key' };
+    const record = await this.keyStore.get(await this._keyStoreKey(token), { type: 'json' });
+    if (!record || record.disabled) {
+      return { valid: false, error: 'Invalid API key' };
+    }
+
+    if (record.expiresAt && Date.parse(record.expiresAt) < Date.now()) {
+      return { valid: false, error: 'API key expired' };
+    }
+
+    return {
+      valid: true,
+      user: this.getUserFromRecord(record)
+    };
+  }
+
+  /**
+   * Key store entries are keyed by the SHA-256 of the token so raw keys never sit in KV
+   */
+  async _keyStoreKey(token) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+    const hex = Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    return `apikey:${hex}`;
   }
 
   /**
-   * Get user information from token
+   * Build user context from a key store record
+   * Record format: { id, tier, scopes: [...], rateLimit?: { requests, window }, disabled?, expiresAt? }
    */
-  getUserFromToken(token) {
-    // In a real implementation, this would lookup user data
-    // For now, return basic info based on token
+  getUserFromRecord(record) {
+    const tier = record.tier || 'standard';
+    const tierLimit = tier in TIER_RATE_LIMITS ? TIER_RATE_LIMITS[tier] : TIER_RATE_LIMITS.standard;
     return {
-      id: `user-${token.substring(0, 8)}`,
-      tier: 'standard',
-      rateLimit: {
-        requests: 1000,
-        window: 3600 // per hour
-      }
+      id: record.id,
+      tier: tier,
+      scopes: Array.isArray(record.scopes) ? record.scopes : [],
+      rateLimit: record.rateLimit || tierLimit
     };
   }
 
+  /**
+   * Resolve the scope a path requires (null = authentication only)
+   */
+  getRequiredScope(pathname) {
+    const route = ROUTE_SCOPES.find(({ prefix }) =>
+      pathname === prefix || pathname.startsWith(`${prefix}/`)
+    );
+    return route ? route.scope : null;
+  }
+
+  /**
+   * Check whether a user holds a scope ("*" grants everything)
+   */
+  hasScope(user, scope) {
+    if (!scope) return true;
+    const scopes = user?.scopes || [];
+    return scopes.includes('*') || scopes.includes(scope);
+  }
+
   /**
    * Validate request and extract user context
    */
   async validateRequest(request) {
     // Skip auth for health checks and root endpoint
     const url = new URL(request.url);
-    const publicPaths = ['/', '/health'];
     
-    if (publicPaths.includes(url.pathname)) {
+    if (PUBLIC_PATHS.includes(url.pathname)) {
       return { valid: true, user: null, public: true };
     }
     
@@ -85,27 +155,47 @@ class AuthProvider {
     if (this.env.ENVIRONMENT === 'development' && this.env.SKIP_AUTH === 'true') {
       return { 
         valid: true, 
-        user: { id: 'dev-user', tier: 'unlimited' },
+        user: { id: 'dev-user', tier: 'unlimited', scopes: ['*'] },
         warning: 'Development mode - auth skipped'
       };
     }
     
-    return this.validateApiKey(request);
+    const result = await this.validateApiKey(request);
+    if (!result.valid) {
+      return { ...result, status: 401 };
+    }
+
+    const requiredScope = this.getRequiredScope(url.pathname);
+    if (!this.hasScope(result.user, requiredScope)) {
+      return {
+        valid: false,
+        status: 403,
+        error: `API key is missing required scope: ${requiredScope}`
+      };
+    }
+
+    return result;
   }
 
   /**
    * Create authentication error response
    */
-  createAuthErrorResponse(error) {
+  createAuthErrorResponse(error, status = 401, headers = {}) {
+    const forbidden = status === 403;
     return new Response(JSON.stringify({
-      error: 'Authentication failed',
+      error: forbidden ? 'Authorization failed' : 'Authentication failed',
       message: error,
-      hint: 'Include Authorization header with valid API key'
+      hint: forbidden
+        ? 'Use an API key that has been granted the required scope'
+        : 'Include Authorization header with valid API key'
     }), {
-      status: 401,
+      status,
       headers: {
         'Content-Type': 'application/json',
-        'WWW-Authenticate': 'Bearer realm="Sports Proxy"'
+        'WWW-Authenticate': forbidden
+          ? 'Bearer realm="Sports Proxy", error="insufficient_scope"'
+          : 'Bearer realm="Sports Proxy"',
+        ...headers
       }
     });
   }
@@ -126,23 +216,54 @@ class AuthProvider {
   }
 
   /**
-   * Check rate limits for user
+   * Check rate limits for user through the RateLimiter Durable Object
    */
   async checkRateLimit(user, request) {
-    if (!user || user.tier === 'unlimited') {
+    if (!user || !user.rateLimit || user.tier === 'unlimited') {
       return { allowed: true };
     }
     
-    // In a real implementation, this would use Durable Objects 
-    // to track rate limits across requests
+    if (!this.env.RATE_LIMITER) {
+      return { allowed: true };
+    }
     
-    // For now, allow all requests
-    return { 
-      allowed: true,
-      remaining: user.rateLimit?.requests || 1000,
-      resetTime: Date.now() + (user.rateLimit?.window || 3600) * 1000
+    const { requests, window, algorithm } = user.rateLimit;
+    const params = new URLSearchParams({
+      key: user.id,
+      limit: String(requests),
+      window: String(window),
+      algorithm: algorithm || this.env.RATE_LIMIT_ALGORITHM || 'sliding-window'
+    });
+
+    try {
+      const limiter = this.env.RATE_LIMITER.get(this.env.RATE_LIMITER.idFromName(user.id));
+      const response = await limiter.fetch(`https://rate-limiter/check?${params}`);
+      return await response.json();
+    } catch (error) {
+      // Fail open - a limiter outage should not take the API down with it
+      console.error('Rate limit check error:', error);
+      return { allowed: true };
+    }
+  }
+
+  /**
+   * Standard rate limit headers for a checkRateLimit result
+   */
+  getRateLimitHeaders(rateLimit) {
+    if (!rateLimit || rateLimit.limit === undefined) {
+      return {};
+    }
+
+    const headers = {
+      'X-RateLimit-Limit': String(rateLimit.limit),
+      'X-RateLimit-Remaining': String(rateLimit.remaining),
+      'X-RateLimit-Reset': String(rateLimit.reset)
     };
+    if (!rateLimit.allowed) {
+      headers['Retry-After'] = String(rateLimit.retryAfter);
+    }
+    return headers;
   }
 }
 
-module.exports = { AuthProvider };
\ No newline at end of file
+module.exports = { AuthProvider, TIER_RATE_LIMITS };
\ No newline at end of file
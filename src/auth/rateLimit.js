@@ -0,0 +1,79 @@
+/**
+ * Rate limit algorithms used by the RateLimiter Durable Object.
+ * Each takes the key's stored state (undefined on first use) and returns
+ * { state, result }: the state to store and { allowed, remaining, reset, retryAfter? },
+ * with reset and retryAfter in seconds.
+ */
+
+/**
+ * Sliding-window counter: the previous window's count is weighted by how
+ * much of it still overlaps the trailing window
+ */
+function slidingWindow(stored, limit, window, now = Date.now()) {
+  const windowMs = window * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  let state = stored || { windowStart, current: 0, previous: 0 };
+  if (state.windowStart !== windowStart) {
+    // Roll forward; anything older than one window no longer counts
+    const previous = state.windowStart === windowStart - windowMs ? state.current : 0;
+    state = { windowStart, current: 0, previous };
+  }
+
+  const elapsed = now - windowStart;
+  const reset = Math.ceil((windowStart + windowMs) / 1000);
+  const estimate = (count) => state.previous * (1 - elapsed / windowMs) + count;
+
+  if (estimate(state.current + 1) > limit) {
+    // The previous window decays at previous/window per ms; wait for enough of it to drain
+    const excess = estimate(state.current + 1) - limit;
+    const untilWindowEnd = windowStart + windowMs - now;
+    const waitMs = state.previous > 0 && state.current < limit
+      ? Math.min(excess * windowMs / state.previous, untilWindowEnd)
+      : untilWindowEnd;
+
+    return {
+      state,
+      result: { allowed: false, remaining: 0, reset, retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) }
+    };
+  }
+
+  state.current += 1;
+  return {
+    state,
+    result: { allowed: true, remaining: Math.max(0, Math.floor(limit - estimate(state.current))), reset }
+  };
+}
+
+/**
+ * Token bucket: capacity of `limit` tokens refilled evenly over `window`
+ */
+function tokenBucket(stored, limit, window, now = Date.now()) {
+  const refillPerMs = limit / (window * 1000);
+
+  const state = stored ? { ...stored } : { tokens: limit, updatedAt: now };
+  state.tokens = Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs);
+  state.updatedAt = now;
+
+  const allowed = state.tokens >= 1;
+  if (allowed) {
+    state.tokens -= 1;
+  }
+
+  const reset = Math.ceil((now + (limit - state.tokens) / refillPerMs) / 1000);
+  if (!allowed) {
+    return {
+      state,
+      result: {
+        allowed: false,
+        remaining: 0,
+        reset,
+        retryAfter: Math.max(1, Math.ceil((1 - state.tokens) / refillPerMs / 1000))
+      }
+    };
+  }
+
+  return { state, result: { allowed: true, remaining: Math.floor(state.tokens), reset } };
+}
+
+module.exports = { slidingWindow, tokenBucket };
@@ -0,0 +1,184 @@
+/**
+ * Game state for cache TTLs: remembers when teams play and whether their games are live
+ * or final, learned from get_schedule / get_live_game results, plus per-sport season windows.
+ * Records live in KV next to the cache entries (sports-state:<sport>:team|game:<id>).
+ */
+
+const STATE_PREFIX = 'sports-state:';
+const STATE_TTL = 2 * 24 * 3600; // seconds; older knowledge is not trusted
+
+// Regular season through postseason as [month, day]; a window may wrap the new year
+const SEASON_WINDOWS = {
+  mlb: { start: [3, 15], end: [11, 10] },
+  hockey: { start: [9, 25], end: [6, 30] }
+};
+
+// How long a game that started but has no newer status is assumed to be in progress
+const GAME_DURATION_MS = {
+  mlb: 4 * 3600 * 1000,
+  hockey: 3.5 * 3600 * 1000
+};
+
+const RECENT_MS = 12 * 3600 * 1000; // "today" relative to a game's start
+const SCHEDULE_WINDOW_MS = 2 * 24 * 3600 * 1000; // games kept per team around now
+
+class GameStateTracker {
+  constructor(env, kv) {
+    this.env = env;
+    this.kv = kv;
+    this.records = new Map(); // Read and written records, so lookups see fresh observations
+  }
+
+  /**
+   * Classify a normalized game status (MLB detailedState, NHL gameState, ...) as live, final or scheduled
+   */
+  classifyStatus(status) {
+    const value = String(status || '').toLowerCase();
+    if (/^(final|game over|completed|off)\b/.test(value)) return 'final';
+    if (/^delayed start|^postponed|^suspended/.test(value)) return 'scheduled';
+    if (/in progress|^live|^crit|warmup|^delayed|challenge|review/.test(value)) return 'live';
+    return 'scheduled';
+  }
+
+  /**
+   * Whether the sport is between its season start and end
+   */
+  isInSeason(sport, now = Date.now()) {
+    const window = SEASON_WINDOWS[sport];
+    if (!window) return true;
+
+    const date = new Date(now);
+    const today = (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+    const start = window.start[0] * 100 + window.start[1];
+    const end = window.end[0] * 100 + window.end[1];
+    return start <= end
+      ? today >= start && today <= end
+      : today >= start || today <= end;
+  }
+
+  /**
+   * Remember game state from a fresh get_schedule or get_live_game result
+   * Schedules are refreshed far more often than games change, so only records whose
+   * content changed are written.
+   */
+  async observe(tool, args, data, sport) {
+    if (!this.kv || !data) return;
+
+    const now = Date.now();
+    if (tool === 'get_schedule' && Array.isArray(data.games)) {
+      const games = data.games
+        .map(game => this._summarize(game))
+        .filter(game => game && Math.abs(game.startsAt - now) <= SCHEDULE_WINDOW_MS);
+      const writes = games.map(game => this._putIfChanged(sport, 'game', game.id, game));
+      if (args.teamId) {
+        writes.push(this._putIfChanged(sport, 'team', args.teamId, { games, updatedAt: now }));
+      }
+      await Promise.all(writes);
+    } else if (tool === 'get_live_game') {
+      const game = this._summarize(data);
+      if (!game) return;
+      if (!await this._putIfChanged(sport, 'game', game.id, game)) return;
+      // Keep the teams' schedules in step with the newer status
+      await Promise.all(game.teamIds.map(async teamId => {
+        const record = await this._get(sport, 'team', teamId);
+        if (!record) return;
+        const games = record.games.map(known => (known.id === game.id ? game : known));
+        await this._putIfChanged(sport, 'team', teamId, { games, updatedAt: now });
+      }));
+    }
+  }
+
+  /**
+   * Current phase for a tool call: { phase, startsAt? } with phase live, pre_game, final,
+   * off_day or off_season; null when nothing is known
+   */
+  async lookup(tool, args, sport) {
+    const now = Date.now();
+    const gameId = args.gamePk ?? args.gameId;
+
+    let state = null;
+    if (gameId !== undefined && gameId !== null) {
+      const game = await this._get(sport, 'game', gameId);
+      if (game) state = this._gamePhase(game, sport, now);
+    } else if (args.teamId) {
+      const record = await this._get(sport, 'team', args.teamId);
+      if (record) state = this._teamPhase(record.games, sport, now);
+    }
+
+    // A known live or final game outranks the calendar (postseason can run past the window)
+    if (state && (state.phase === 'live' || state.phase === 'final')) return state;
+    if (!this.isInSeason(sport, now)) return { phase: 'off_season' };
+    return state;
+  }
+
+  _gamePhase(game, sport, now) {
+    if (game.status === 'live' || game.status === 'final') {
+      return { phase: game.status, startsAt: game.startsAt };
+    }
+    if (now < game.startsAt) {
+      return { phase: 'pre_game', startsAt: game.startsAt };
+    }
+    // Started according to the schedule but no newer status seen
+    const duration = GAME_DURATION_MS[sport] || GAME_DURATION_MS.mlb;
+    return { phase: now < game.startsAt + duration ? 'live' : 'final', startsAt: game.startsAt };
+  }
+
+  _teamPhase(games, sport, now) {
+    const phases = games.map(game => this._gamePhase(game, sport, now));
+    const live = phases.find(state => state.phase === 'live');
+    if (live) return live;
+
+    const upcoming = phases
+      .filter(state => state.phase === 'pre_game' && state.startsAt - now <= RECENT_MS)
+      .sort((a, b) => a.startsAt - b.startsAt)[0];
+    if (upcoming) return upcoming;
+
+    const finishedToday = phases.find(state => state.phase === 'final' && now - state.startsAt <= RECENT_MS);
+    if (finishedToday) return finishedToday;
+
+    return { phase: 'off_day' };
+  }
+
+  _summarize(game) {
+    const startsAt = Date.parse(game.date || game.time);
+    if (!game.id || Number.isNaN(startsAt)) return null;
+    return {
+      id: String(game.id),
+      startsAt,
+      status: this.classifyStatus(game.status),
+      teamIds: [game.homeTeam?.id, game.awayTeam?.id].filter(Boolean).map(String)
+    };
+  }
+
+  _key(sport, type, id) {
+    return `${STATE_PREFIX}${sport}:${type}:${id}`;
+  }
+
+  async _get(sport, type, id) {
+    const key = this._key(sport, type, id);
+    if (!this.records.has(key)) {
+      this.records.set(key, this.kv ? await this.kv.get(key, { type: 'json' }) : null);
+    }
+    return this.records.get(key);
+  }
+
+  /**
+   * Write a record unless the stored one has the same content (updatedAt aside);
+   * returns whether it was written
+   */
+  async _putIfChanged(sport, type, id, record) {
+    const content = ({ updatedAt, ...rest }) => JSON.stringify(rest);
+    const known = await this._get(sport, type, id);
+    if (known && content(known) === content(record)) return false;
+    await this._put(sport, type, id, record);
+    return true;
+  }
+
+  async _put(sport, type, id, record) {
+    const key = this._key(sport, type, id);
+    this.records.set(key, record);
+    await this.kv.put(key, JSON.stringify(record), { expirationTtl: STATE_TTL });
+  }
+}
+
+module.exports = { GameStateTracker };
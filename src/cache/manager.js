@@ -3,6 +3,97 @@
  * Handles KV (hot), R2 (cold), and Durable Object (LRU) caching
  */
 
+const { GameStateTracker } = require('./gameState');
+const { ContextAnalyzer } = require('../intelligence/contextAnalyzer');
+const { SCHEMA_VERSION } = require('../schemas/sports');
+const { cacheStats, readCacheStats } = require('./stats');
+
+const INDEX_PREFIX = 'sports-idx:';
+
+// KV key holding per-tool TTL overrides ({ "get_team_roster": 900 }), editable without a redeploy
+const TTL_CONFIG_KEY = 'config:cache-ttl';
+
+// Cache strategy by tool type (seconds)
+const CACHE_RULES = {
+  'get_team_info': 300,      // Teams don't change often
+  'get_player_stats': 60,    // Stats update frequently during games
+  'get_team_roster': 3600,   // Rosters change infrequently
+  'get_schedule': 30,        // Schedules can change
+  'get_standings': 60,       // Standings update after each game
+  'get_live_game': 5         // Live games update constantly
+};
+
+// TTLs by game phase (seconds); tools not listed keep their base TTL
+const PHASE_TTLS = {
+  live: { 'get_live_game': 5, 'get_player_stats': 15, 'get_schedule': 30, 'get_standings': 60 },
+  final: { 'get_live_game': 3 * 86400, 'get_player_stats': 3600, 'get_schedule': 3600, 'get_standings': 1800 },
+  off_day: { 'get_live_game': 86400, 'get_player_stats': 6 * 3600, 'get_schedule': 6 * 3600, 'get_standings': 6 * 3600 },
+  off_season: {
+    'get_live_game': 86400, 'get_player_stats': 86400, 'get_schedule': 86400,
+    'get_standings': 86400, 'get_team_info': 86400, 'get_team_roster': 6 * 3600
+  }
+};
+
+// How long past its TTL an entry may still be served while it is refreshed (seconds)
+const MAX_STALENESS = {
+  'get_team_info': 86400,
+  'get_player_stats': 300,
+  'get_team_roster': 86400,
+  'get_schedule': 600,
+  'get_standings': 900,
+  'get_live_game': 10        // Never serve minutes-old scores
+};
+
+// How long past its TTL an entry may still be served while its MCP service's circuit is
+// open (seconds); never shorter than MAX_STALENESS, which tools not listed keep. R2 copies
+// and index entries are kept this long, so outages and invalidate() both still find them.
+const OUTAGE_MAX_STALENESS = {
+  'get_team_info': 7 * 86400,
+  'get_player_stats': 6 * 3600,
+  'get_team_roster': 7 * 86400,
+  'get_schedule': 6 * 3600,
+  'get_standings': 86400
+};
+
+// KV rejects expirationTtl below 60 seconds; shorter TTLs are enforced on read
+const KV_MIN_TTL = 60;
+
+// Entries larger than this (serialized bytes) skip KV and live only in R2. KV allows 25 MiB
+// per value, but large values are slow to write and replicate to the edge.
+const KV_MAX_ENTRY_BYTES = 1024 * 1024;
+
+// How long a deterministic failure (unknown entity, bad arguments) is remembered (seconds)
+const NEGATIVE_TTL = 60;
+
+// Argument fields that tie a cache entry to an entity, by invalidation pattern type
+const INDEX_DIMENSIONS = {
+  team: ['teamId'],
+  player: ['playerId'],
+  game: ['gameId', 'gamePk']
+};
+
+// invalidate() deletes this many KV keys at a time, and at most INVALIDATE_MAX_DELETES per
+// request: every delete is a subrequest, and an invocation may make only 1000 (50 on Free)
+const INVALIDATE_BATCH_SIZE = 50;
+const INVALIDATE_MAX_DELETES = 500;
+
+/**
+ * JSON with object keys sorted at every level; undefined values are dropped as in JSON.stringify
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJSON(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
 class CacheManager {
   constructor(env) {
     this.env = env;
@@ -10,42 +101,85 @@ class CacheManager {
     this.r2 = env.SPORTS_STORAGE;
     this.hotTTL = parseInt(env.CACHE_TTL_HOT) || 10; // seconds
     this.coldTTL = parseInt(env.CACHE_TTL_COLD) || 300; // seconds
+    this.negativeTTL = parseInt(env.CACHE_TTL_NEGATIVE) || NEGATIVE_TTL; // seconds
+    this.kvMaxEntryBytes = parseInt(env.CACHE_KV_MAX_BYTES) || KV_MAX_ENTRY_BYTES;
+    this.deleteBudget = parseInt(env.CACHE_INVALIDATE_MAX_DELETES) || INVALIDATE_MAX_DELETES; // Shared by invalidate() calls
+    this.ttlOverrides = null; // Loaded lazily by _getTTLOverrides
+    this.gameState = new GameStateTracker(env, this.kv);
+    this.contextAnalyzer = new ContextAnalyzer(env);
+  }
+
+  /**
+   * Generate cache key from request: sports:v{SCHEMA_VERSION}:{sport}:{tool}:{sha256}
+   * The hash covers a canonical JSON of args, so nested values and key order are handled
+   */
+  async _generateKey(tool, args) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJSON(args || {})));
+    const hex = Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+    return `sports:v${SCHEMA_VERSION}:${this._sportFor(args || {})}:${tool}:${hex}`;
   }
 
   /**
-   * Generate cache key from request
+   * Sport a tool call is for: args.sport, else detected from the arguments
    */
-  _generateKey(tool, args) {
-    // More efficient key generation - avoid object recreation
-    const keys = Object.keys(args).sort();
-    const sortedPairs = keys.map(key => `${key}:${args[key]}`).join('|');
-    return `sports:${tool}:${sortedPairs}`;
+  _sportFor(args) {
+    return args.sport || this.contextAnalyzer.detectSportFromContext(args);
   }
 
   /**
    * Get from cache (KV first, then R2)
+   * Entries are checked against the TTL stored with them. An entry past its TTL but within
+   * its max staleness comes back with source 'stale' (unless allowStale is false); the
+   * caller serves it and refreshes in the background. A remembered deterministic failure
+   * comes back as { error, source: 'negative' } while its short TTL lasts.
    */
-  async get(tool, args) {
-    const key = this._generateKey(tool, args);
+  async get(tool, args, { allowStale = true } = {}) {
+    const key = await this._generateKey(tool, args);
+    if (args.teamId) {
+      // Ranks teams for scheduled pre-warming
+      cacheStats.incrementTeam(this._sportFor(args), args.teamId);
+    }
     
     try {
       // Try hot cache (KV) first
-      const hotData = await this.kv?.get(key, { type: 'json' });
-      if (hotData && this._isValid(hotData, this.hotTTL)) {
+      const hotData = this._current(await this.kv?.get(key, { type: 'json' }));
+      if (hotData?.negative && this._isValid(hotData, this.negativeTTL)) {
+        cacheStats.increment(tool, 'negative_hits');
+        return {
+          error: hotData.error,
+          source: 'negative',
+          age: Date.now() - hotData.timestamp
+        };
+      }
+      if (hotData && !hotData.negative && this._isValid(hotData, this.hotTTL)) {
+        cacheStats.increment(tool, 'hot_hits');
         return {
           data: hotData.payload,
           source: 'hot',
           age: Date.now() - hotData.timestamp
         };
       }
+      // Hot and cold copies are written together, so a stale hot entry means a stale cold one
+      if (hotData && allowStale && this._isServableStale(hotData)) {
+        cacheStats.increment(tool, 'stale_hits');
+        return this._staleResult(hotData);
+      }
+      if (this.kv) cacheStats.increment(tool, 'hot_misses');
 
       // Try cold cache (R2)
-      const coldObject = await this.r2?.get(key);
+      const coldObject = hotData ? null : await this.r2?.get(key);
       if (coldObject) {
-        const coldData = await coldObject.json();
-        if (this._isValid(coldData, this.coldTTL)) {
-          // Promote to hot cache
-          await this._setHot(key, coldData.payload);
+        const coldData = this._current(await this._readCold(coldObject));
+        if (coldData && this._isValid(coldData, this.coldTTL)) {
+          cacheStats.increment(tool, 'cold_hits');
+          // Promote to hot cache, keeping the original timestamp and TTL; oversized entries stay cold
+          const size = parseInt(coldObject.customMetadata?.size);
+          if (this.kv && !(size > this.kvMaxEntryBytes)) {
+            await this._setHot(key, coldData);
+            cacheStats.increment(tool, 'promotions');
+          }
           
           return {
             data: coldData.payload,
@@ -53,8 +187,14 @@ class CacheManager {
             age: Date.now() - coldData.timestamp
           };
         }
+        if (coldData && allowStale && this._isServableStale(coldData)) {
+          cacheStats.increment(tool, 'stale_hits');
+          return this._staleResult(coldData);
+        }
       }
+      if (this.r2 && !hotData) cacheStats.increment(tool, 'cold_misses');
 
+      cacheStats.increment(tool, 'misses');
       return null;
     } catch (error) {
       console.error('Cache get error:', error);
@@ -62,24 +202,71 @@ class CacheManager {
     }
   }
 
+  /**
+   * A stored copy of an entry (KV first, then R2) for when its MCP service is unavailable,
+   * up to getOutageMaxStaleness(tool) past its TTL; comes back with source 'stale', or null
+   * when neither tier has one that recent. R2 keeps entries past their max staleness until
+   * sweepCold() removes them.
+   */
+  async getStale(tool, args) {
+    const key = await this._generateKey(tool, args);
+
+    try {
+      let entry = this._current(await this.kv?.get(key, { type: 'json' }));
+      if (!entry || entry.negative) {
+        const coldObject = await this.r2?.get(key);
+        entry = coldObject ? this._current(await this._readCold(coldObject)) : null;
+      }
+      if (!entry || entry.negative) return null;
+      const age = (Date.now() - entry.timestamp) / 1000;
+      if (age >= (entry.ttl || 0) + this.getOutageMaxStaleness(tool)) return null;
+
+      cacheStats.increment(tool, 'stale_hits');
+      return this._staleResult(entry);
+    } catch (error) {
+      console.error('Cache get stale error:', error);
+      return null;
+    }
+  }
+
   /**
    * Set in both hot and cold cache
+   * ttl (seconds) defaults to getSmartTTL for the tool and data, and is stored with the entry.
+   * Entries over CACHE_KV_MAX_BYTES are written to R2 only.
    */
-  async set(tool, args, data) {
-    const key = this._generateKey(tool, args);
-    const payload = {
-      payload: data,
-      timestamp: Date.now(),
-      tool: tool,
-      args: args
-    };
+  async set(tool, args, data, ttl) {
+    const key = await this._generateKey(tool, args);
 
     try {
-      // Set in hot cache (KV)
-      await this._setHot(key, data);
+      const payload = {
+        payload: data,
+        schemaVersion: SCHEMA_VERSION,
+        timestamp: Date.now(),
+        ttl: ttl || await this.getSmartTTL(tool, args, data),
+        maxStale: this.getMaxStaleness(tool),
+        tool: tool,
+        args: args
+      };
+
+      const serialized = JSON.stringify(payload);
+      const size = new TextEncoder().encode(serialized).byteLength;
+
+      // Set in hot cache (KV), unless too large for it
+      if (size <= this.kvMaxEntryBytes) {
+        await this._setHot(key, payload, serialized);
+      } else {
+        await this.kv?.delete(key); // Don't leave an older, smaller copy to be served
+        cacheStats.increment(tool, 'cold_only_writes');
+      }
       
       // Set in cold cache (R2)
-      await this._setCold(key, payload);
+      await this._setCold(key, payload, serialized, size);
+
+      // Record the key under its tool and entities for invalidate()
+      await this._indexKey(key, tool, args, payload.ttl);
+
+      cacheStats.increment(tool, 'writes');
+      cacheStats.increment(tool, 'payload_bytes', size);
       
       return true;
     } catch (error) {
@@ -89,72 +276,309 @@ class CacheManager {
   }
 
   /**
-   * Set in hot cache only (for promotions)
+   * Remember a deterministic failure (error.retryable === false) in the hot cache only,
+   * so repeated requests for an unknown entity fail fast instead of calling upstream.
+   * Indexed like other entries, so invalidate() clears it too.
+   */
+  async setNegative(tool, args, error) {
+    const key = await this._generateKey(tool, args);
+
+    try {
+      const entry = {
+        negative: true,
+        error: { message: error.message, code: error.code, status: error.status },
+        schemaVersion: SCHEMA_VERSION,
+        timestamp: Date.now(),
+        ttl: this.negativeTTL,
+        maxStale: 0, // Never served past its TTL
+        tool: tool,
+        args: args
+      };
+      await this._setHot(key, entry);
+      await this._indexKey(key, tool, args, entry.ttl);
+      cacheStats.increment(tool, 'negative_writes');
+      return true;
+    } catch (cacheError) {
+      console.error('Cache set negative error:', cacheError);
+      return false;
+    }
+  }
+
+  /**
+   * Set in hot cache (also used for promotions from cold)
+   * KV expiry follows the entry's remaining TTL plus its staleness window,
+   * floored at KV's 60 second minimum
    */
-  async _setHot(key, data) {
+  async _setHot(key, entry, serialized = JSON.stringify(entry)) {
     if (!this.kv) return;
-    
-    const payload = {
-      payload: data,
-      timestamp: Date.now()
-    };
 
-    await this.kv.put(key, JSON.stringify(payload), {
-      expirationTtl: this.hotTTL
+    const ttl = (entry.ttl || this.hotTTL) + (entry.maxStale || 0);
+    const remaining = Math.ceil(ttl - (Date.now() - entry.timestamp) / 1000);
+    await this.kv.put(key, serialized, {
+      expirationTtl: Math.max(remaining, KV_MIN_TTL)
     });
   }
 
   /**
-   * Set in cold cache
+   * Set in cold cache, gzip-compressed
+   * The custom metadata (timestamp, ttl, maxStale, schemaVersion) lets sweepCold() expire
+   * objects without downloading them; size is the uncompressed entry size
    */
-  async _setCold(key, payload) {
+  async _setCold(key, payload, serialized = JSON.stringify(payload), size) {
     if (!this.r2) return;
-    
-    await this.r2.put(key, JSON.stringify(payload), {
+
+    const compressed = await new Response(
+      new Blob([serialized]).stream().pipeThrough(new CompressionStream('gzip'))
+    ).arrayBuffer();
+    await this.r2.put(key, compressed, {
+      httpMetadata: { contentType: 'application/json', contentEncoding: 'gzip' },
       customMetadata: {
+        schemaVersion: String(payload.schemaVersion),
         timestamp: payload.timestamp.toString(),
+        ttl: String(payload.ttl),
+        maxStale: String(payload.maxStale || 0),
+        size: String(size ?? new TextEncoder().encode(serialized).byteLength),
+        encoding: 'gzip',
         tool: payload.tool
       }
     });
   }
 
+  /**
+   * Parse a cold object, decompressing gzip entries (older entries are plain JSON)
+   */
+  async _readCold(object) {
+    if (object.customMetadata?.encoding !== 'gzip') {
+      return object.json();
+    }
+    return new Response(object.body.pipeThrough(new DecompressionStream('gzip'))).json();
+  }
+
+  /**
+   * Delete cold objects past their TTL and max staleness, or written under another
+   * SCHEMA_VERSION, judged from their custom metadata, and the index entries pointing at
+   * them. Run from the scheduled handler. Returns { scanned, deleted, indexDeleted }
+   */
+  async sweepCold(now = Date.now()) {
+    if (!this.r2) return { scanned: 0, deleted: 0, indexDeleted: 0 };
+
+    let scanned = 0;
+    let deleted = 0;
+    const deletedKeys = new Set();
+    let cursor;
+    do {
+      const page = await this.r2.list({ prefix: 'sports:', cursor, include: ['customMetadata'] });
+      scanned += page.objects.length;
+      const expired = page.objects
+        .filter(object => this._isColdExpired(object.customMetadata || {}, now))
+        .map(object => object.key);
+      if (expired.length > 0) {
+        // A list page holds at most 1000 keys, the most R2 deletes per call
+        await this.r2.delete(expired);
+        deleted += expired.length;
+        expired.forEach(key => deletedKeys.add(key));
+      }
+      cursor = page.truncated ? page.cursor : null;
+    } while (cursor);
+
+    const indexDeleted = await this._sweepIndex(deletedKeys);
+    console.log(`Cold cache sweep deleted ${deleted} of ${scanned} objects and ${indexDeleted} index entries`);
+    return { scanned, deleted, indexDeleted };
+  }
+
+  /**
+   * Delete the index entries of swept cache keys, so invalidate() does not keep finding
+   * them until their KV expiry (which an entry swept for its schema version may be far from)
+   */
+  async _sweepIndex(deletedKeys) {
+    if (!this.kv || deletedKeys.size === 0) return 0;
+
+    let removed = 0;
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix: INDEX_PREFIX, cursor });
+      const stale = page.keys
+        .filter(entry => deletedKeys.has(entry.metadata?.key))
+        .map(entry => entry.name);
+      await Promise.all(stale.map(name => this.kv.delete(name)));
+      removed += stale.length;
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return removed;
+  }
+
+  _isColdExpired(metadata, now) {
+    const timestamp = parseInt(metadata.timestamp);
+    if (Number.isNaN(timestamp)) {
+      return false; // Not written by set(); leave it alone
+    }
+    if (metadata.schemaVersion !== String(SCHEMA_VERSION)) {
+      return true; // Would be treated as a miss anyway
+    }
+    const staleness = Math.max(parseInt(metadata.maxStale) || 0, metadata.tool ? this.getOutageMaxStaleness(metadata.tool) : 0);
+    const lifetime = (parseInt(metadata.ttl) || this.coldTTL) + staleness;
+    return now - timestamp > lifetime * 1000;
+  }
+
+  /**
+   * The entry if it was written under the current SCHEMA_VERSION, else null (a miss)
+   */
+  _current(entry) {
+    return entry && entry.schemaVersion === SCHEMA_VERSION ? entry : null;
+  }
+
   /**
    * Check if cached data is still valid
+   * Uses the entry's own TTL; fallbackTTL covers entries written before TTLs were stored
+   */
+  _isValid(cachedData, fallbackTTL) {
+    const age = (Date.now() - cachedData.timestamp) / 1000;
+    return age < (cachedData.ttl || fallbackTTL);
+  }
+
+  /**
+   * Whether an expired entry is still within its max staleness
    */
-  _isValid(cachedData, ttlSeconds) {
+  _isServableStale(cachedData) {
+    if (!cachedData.ttl) return false; // Entries without a stored TTL predate SWR
     const age = (Date.now() - cachedData.timestamp) / 1000;
-    return age < ttlSeconds;
+    return age < cachedData.ttl + (cachedData.maxStale ?? this.getMaxStaleness(cachedData.tool));
+  }
+
+  _staleResult(cachedData) {
+    return {
+      data: cachedData.payload,
+      source: 'stale',
+      age: Date.now() - cachedData.timestamp
+    };
+  }
+
+  /**
+   * Index patterns ("tool:get_team_roster", "team:147", ...) that cover a cache entry
+   */
+  _indexPatterns(tool, args) {
+    const patterns = [`tool:${tool}`];
+    for (const [type, fields] of Object.entries(INDEX_DIMENSIONS)) {
+      for (const field of fields) {
+        if (args[field] !== undefined && args[field] !== null && args[field] !== '') {
+          patterns.push(`${type}:${args[field]}`);
+        }
+      }
+    }
+    return patterns;
+  }
+
+  /**
+   * Write one KV index entry per pattern: sports-idx:<pattern>:<cache key>
+   * Each entry's metadata lists the key's patterns so invalidation can remove its siblings too
+   */
+  async _indexKey(key, tool, args, ttl) {
+    if (!this.kv) return;
+
+    const patterns = this._indexPatterns(tool, args);
+    const expirationTtl = Math.max(ttl + this.getOutageMaxStaleness(tool), KV_MIN_TTL); // As long as the R2 copy
+    await Promise.all(patterns.map(pattern =>
+      this.kv.put(`${INDEX_PREFIX}${pattern}:${key}`, '', { expirationTtl, metadata: { key, patterns } })
+    ));
   }
 
   /**
-   * Invalidate cache for specific patterns
+   * Invalidate cached entries matching a pattern: tool:<name>, team:<id>, player:<id> or game:<id>
+   * Deletes the KV and R2 copies of indexed keys in batches, within this manager's delete budget.
+   * Returns { pattern, invalidated, remaining }; remaining > 0 means the budget ran out and the
+   * rest are still indexed, for another call. A failed batch throws with error.invalidated set.
    */
   async invalidate(pattern) {
+    const [type, ...rest] = String(pattern).split(':');
+    const value = rest.join(':');
+    if (!value || (type !== 'tool' && !INDEX_DIMENSIONS[type])) {
+      const error = new Error(`Invalid pattern '${pattern}'. Use tool:<name>, team:<id>, player:<id> or game:<id>.`);
+      error.status = 400;
+      throw error;
+    }
+    if (!this.kv) {
+      return { pattern, invalidated: 0, remaining: 0 };
+    }
+
+    // Cache key -> its index entries under every pattern
+    const prefix = `${INDEX_PREFIX}${type}:${value}:`;
+    const entries = new Map();
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix, cursor });
+      for (const entry of page.keys) {
+        const key = entry.metadata?.key || entry.name.substring(prefix.length);
+        const indexKeys = entries.get(key) || new Set();
+        indexKeys.add(entry.name);
+        for (const sibling of entry.metadata?.patterns || []) {
+          indexKeys.add(`${INDEX_PREFIX}${sibling}:${key}`);
+        }
+        entries.set(key, indexKeys);
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    const pending = [...entries];
+    let invalidated = 0;
     try {
-      // For KV, we can't easily delete by pattern, so we'll rely on TTL
-      // For R2, we could list and delete, but it's expensive
-      
-      // TODO: Implement pattern-based invalidation if needed
-      console.log(`Cache invalidation requested for pattern: ${pattern}`);
-      
-      return true;
+      while (pending.length > 0) {
+        // Whole keys only: a key's index entries go in the same batch as the key
+        const batch = [];
+        let deletes = this.r2 ? 1 : 0; // One R2 call per batch
+        while (pending.length > 0) {
+          const cost = 1 + pending[0][1].size;
+          if (deletes + cost > Math.min(INVALIDATE_BATCH_SIZE, this.deleteBudget)) break;
+          batch.push(pending.shift());
+          deletes += cost;
+        }
+        if (batch.length === 0) break; // Budget spent
+
+        const keys = batch.map(([key]) => key);
+        await Promise.all([
+          ...keys.map(key => this.kv.delete(key)),
+          this.r2?.delete(keys) // Well under R2's 1000 keys per call
+        ]);
+        // Index entries last, so keys that failed to delete are still found next time
+        await Promise.all(batch.flatMap(([, indexKeys]) => [...indexKeys].map(name => this.kv.delete(name))));
+        this.deleteBudget -= deletes;
+        invalidated += batch.length;
+      }
     } catch (error) {
-      console.error('Cache invalidation error:', error);
-      return false;
+      error.invalidated = invalidated;
+      throw error;
     }
+
+    console.log(`Cache invalidated ${invalidated} entries for pattern: ${pattern}` +
+      (pending.length ? ` (${pending.length} left for another call)` : ''));
+    return { pattern, invalidated, remaining: pending.length };
+  }
+
+  /**
+   * Record the time an upstream (MCP) fetch took, for the latency saved by hits
+   */
+  recordUpstream(tool, durationMs) {
+    cacheStats.increment(tool, 'upstream_calls');
+    cacheStats.increment(tool, 'upstream_ms', durationMs);
   }
 
   /**
    * Get cache statistics
+   * usage holds the aggregated hit/miss totals (null without the CACHE_STATS binding),
+   * from a read up to usageMaxAge seconds old
    */
-  async getStats() {
+  async getStats({ usageMaxAge = 0 } = {}) {
     try {
-      // Basic stats - could be enhanced with Durable Objects
+      const usage = await readCacheStats(this.env, { maxAge: usageMaxAge }).catch(error => {
+        console.error('Cache usage stats error:', error);
+        return null;
+      });
       return {
         hotCacheAvailable: !!this.kv,
         coldCacheAvailable: !!this.r2,
         hotTTL: this.hotTTL,
         coldTTL: this.coldTTL,
+        toolTTLs: { ...CACHE_RULES, ...await this._getTTLOverrides() },
+        usage: usage ? { since: usage.since, ...usage.totals } : null,
         timestamp: Date.now()
       };
     } catch (error) {
@@ -167,37 +591,82 @@ class CacheManager {
    * Determine if data should be cached based on tool type
    */
   shouldCache(tool, args) {
-    // Cache strategy by tool type
-    const cacheRules = {
-      'get_team_info': 300,      // Teams don't change often
-      'get_player_stats': 60,    // Stats update frequently during games
-      'get_team_roster': 3600,   // Rosters change infrequently
-      'get_schedule': 30,        // Schedules can change
-      'get_standings': 60,       // Standings update after each game
-      'get_live_game': 5         // Live games update constantly
-    };
+    return CACHE_RULES[tool] || 60; // Default 60 seconds
+  }
+
+  /**
+   * Max staleness for stale-while-revalidate (seconds past the TTL)
+   */
+  getMaxStaleness(tool) {
+    return MAX_STALENESS[tool] ?? 60; // Default 60 seconds
+  }
 
-    return cacheRules[tool] || 60; // Default 60 seconds
+  /**
+   * Max staleness while the tool's service is unavailable (seconds past the TTL)
+   */
+  getOutageMaxStaleness(tool) {
+    return OUTAGE_MAX_STALENESS[tool] ?? this.getMaxStaleness(tool);
   }
 
   /**
-   * Smart caching - adjust TTL based on data freshness needs
+   * Per-tool TTL overrides: CACHE_TTL_OVERRIDES (env JSON), then the KV config key on top
    */
-  getSmartTTL(tool, args) {
+  async _getTTLOverrides() {
+    if (this.ttlOverrides) return this.ttlOverrides;
+
+    let overrides = {};
+    try {
+      if (this.env.CACHE_TTL_OVERRIDES) {
+        overrides = { ...overrides, ...this._validTTLs(JSON.parse(this.env.CACHE_TTL_OVERRIDES)) };
+      }
+      // cacheTtl lets the edge reuse the config for a minute instead of reading KV on every call
+      const stored = await this.kv?.get(TTL_CONFIG_KEY, { type: 'json', cacheTtl: 60 });
+      if (stored) {
+        overrides = { ...overrides, ...this._validTTLs(stored) };
+      }
+    } catch (error) {
+      console.error('Cache TTL override error:', error);
+    }
+
+    this.ttlOverrides = overrides;
+    return overrides;
+  }
+
+  _validTTLs(table) {
+    return Object.fromEntries(
+      Object.entries(table || {}).filter(([, ttl]) => Number.isFinite(ttl) && ttl > 0)
+    );
+  }
+
+  /**
+   * Smart caching - adjust TTL to the state of the games involved
+   * data, when given, is a fresh result; schedule and live game results update the known
+   * game state first. An explicit override for the tool always wins.
+   */
+  async getSmartTTL(tool, args, data) {
+    const overrides = await this._getTTLOverrides();
+    if (overrides[tool]) return overrides[tool];
+
     const baseTTL = this.shouldCache(tool, args);
-    
-    // During live games, cache less aggressively
-    const now = new Date();
-    const hour = now.getHours();
-    
-    // Baseball games typically 1-4 PM and 7-10 PM ET
-    const isDuringGames = (hour >= 13 && hour <= 16) || (hour >= 19 && hour <= 22);
-    
-    if (isDuringGames && (tool === 'get_live_game' || tool === 'get_player_stats')) {
-      return Math.min(baseTTL, 10); // More aggressive updates during games
+    const sport = this._sportFor(args);
+
+    let state = null;
+    try {
+      if (data !== undefined) {
+        await this.gameState.observe(tool, args, data, sport);
+      }
+      state = await this.gameState.lookup(tool, args, sport);
+    } catch (error) {
+      console.error('Game state error:', error);
     }
-    
-    return baseTTL;
+    if (!state) return baseTTL;
+
+    if (state.phase === 'pre_game') {
+      // Expire by first pitch / puck drop so the live phase takes over
+      const untilStart = Math.ceil((state.startsAt - Date.now()) / 1000);
+      return Math.max(Math.min(baseTTL, untilStart), 5);
+    }
+    return PHASE_TTLS[state.phase]?.[tool] ?? baseTTL;
   }
 }
 
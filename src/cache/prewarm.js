@@ -0,0 +1,137 @@
+/**
+ * Scheduled cache pre-warming: fetches the data most users ask for ahead of game windows
+ * (today's schedule, standings, rosters of the most requested teams) so first queries hit.
+ */
+
+const { CacheManager } = require('./manager');
+const { cacheStats, readTopTeams } = require('./stats');
+const { MCPCoordinator } = require('../mcp/mcpCoordinator');
+const { ToolHandler } = require('../intelligence/toolHandler');
+
+const DEFAULT_TEAM_COUNT = 5;
+
+// Warmed schedules and standings are kept until the day's first game starts, when the
+// live TTLs take over, but at most this long (seconds)
+const MAX_WARM_TTL = 12 * 3600;
+
+// Leagues publish schedules by Eastern date; a UTC date turns over mid-evening
+const SCHEDULE_TIME_ZONE = 'America/New_York';
+
+class CachePrewarmer {
+  constructor(env, ctx) {
+    this.env = env;
+    this.ctx = ctx;
+    this.mcpCoordinator = new MCPCoordinator(env);
+    this.cacheManager = new CacheManager(env);
+    this.toolHandler = new ToolHandler(env, this.mcpCoordinator, this.cacheManager, ctx);
+  }
+
+  /**
+   * Sports to warm: PREWARM_SPORTS (comma-separated) or every registered sport whose MCP
+   * binding is present
+   */
+  async getSports() {
+    const available = await this.mcpCoordinator.getAvailableSports();
+    if (!this.env.PREWARM_SPORTS) return available;
+    return this.env.PREWARM_SPORTS.split(',')
+      .map(sport => sport.trim())
+      .filter(sport => available.includes(sport));
+  }
+
+  /**
+   * Tool calls to warm for one sport, today's schedule first
+   */
+  async planSport(sport, now = Date.now()) {
+    const teamCount = parseInt(this.env.PREWARM_TEAM_COUNT ?? DEFAULT_TEAM_COUNT, 10);
+    const teams = teamCount > 0
+      ? await readTopTeams(this.env, sport, teamCount).catch(error => {
+        console.error(`Pre-warm: team ranking unavailable for ${sport}:`, error);
+        return [];
+      })
+      : [];
+
+    return [
+      { tool: 'get_schedule', args: this._args(sport, { date: this._scheduleDate(now) }) },
+      { tool: 'get_standings', args: this._args(sport, {}) },
+      ...teams.map(team => ({ tool: 'get_team_roster', args: this._args(sport, { teamId: team.teamId }) }))
+    ];
+  }
+
+  /**
+   * Warm every in-season sport; returns { warmed, failed, skipped }
+   * Calls share the coordinator, so they stay within the per-service concurrency caps
+   */
+  async run() {
+    const summary = { warmed: [], failed: [], skipped: [] };
+
+    for (const sport of await this.getSports()) {
+      if (!this.cacheManager.gameState.isInSeason(sport)) {
+        summary.skipped.push(sport);
+        continue;
+      }
+
+      // The schedule first: its games decide how long it and the standings are kept
+      const calls = await this.planSport(sport);
+      const [scheduled] = await Promise.allSettled([
+        this._warm(calls[0], (data, ttl) => this._windowTTL(data, ttl))
+      ]);
+      const schedule = scheduled.value?.data;
+      const results = [scheduled, ...await Promise.allSettled(calls.slice(1).map(call => this._warm(call,
+        call.tool === 'get_standings' && schedule ? (data, ttl) => this._windowTTL(schedule, ttl) : undefined
+      )))];
+      results.forEach((result, index) => {
+        const call = { sport, tool: calls[index].tool, args: calls[index].args };
+        if (result.status === 'fulfilled') {
+          summary.warmed.push(call);
+        } else {
+          summary.failed.push({ ...call, error: result.reason?.message || String(result.reason) });
+        }
+      });
+    }
+
+    await cacheStats.flush(this.env, { force: true });
+    console.log(`Cache pre-warm: ${summary.warmed.length} warmed, ${summary.failed.length} failed, skipped ${summary.skipped.join(', ') || 'none'}`);
+    for (const failure of summary.failed) {
+      console.error(`Cache pre-warm failed for ${failure.tool} (${failure.sport}):`, failure.error);
+    }
+    return summary;
+  }
+
+  /**
+   * Fetch one call and write it through CacheManager.set, with ttlFor(result, ttl) if given
+   */
+  _warm({ tool, args }, ttlFor) {
+    return this.toolHandler._fetchFromSource(tool, args, { ttlFor });
+  }
+
+  /**
+   * TTL (seconds) lasting until the first game of a schedule result still to start, at
+   * most MAX_WARM_TTL; MAX_WARM_TTL with no games at all. Once games have started the
+   * normal TTL is kept. Never shorter than that TTL.
+   */
+  _windowTTL(schedule, ttl, now = Date.now()) {
+    const games = (schedule?.games || [])
+      .map(game => this.cacheManager.gameState._summarize(game))
+      .filter(Boolean);
+    if (games.length === 0) return Math.max(ttl, MAX_WARM_TTL);
+    if (games.some(game => game.startsAt <= now)) return ttl;
+
+    const firstStart = Math.min(...games.map(game => game.startsAt));
+    return Math.max(ttl, Math.min(Math.floor((firstStart - now) / 1000), MAX_WARM_TTL));
+  }
+
+  /**
+   * Arguments as user requests build them: sport is always explicit (see ToolHandler._withSport),
+   * so warmed entries share cache keys with user calls
+   */
+  _args(sport, args) {
+    return { ...args, sport };
+  }
+
+  _scheduleDate(now) {
+    // en-CA formats as YYYY-MM-DD
+    return new Date(now).toLocaleDateString('en-CA', { timeZone: SCHEDULE_TIME_ZONE });
+  }
+}
+
+module.exports = { CachePrewarmer };
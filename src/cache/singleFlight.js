@@ -0,0 +1,56 @@
+/**
+ * In-isolate single-flight: concurrent callers with the same key share one promise.
+ * The shared work is only aborted once every waiter has gone away.
+ */
+class SingleFlight {
+  constructor() {
+    this.flights = new Map();
+  }
+
+  /**
+   * Run fn(signal) once per key, or join the call already in flight
+   * signal lets this caller stop waiting without cancelling the others
+   */
+  run(key, fn, signal) {
+    let flight = this.flights.get(key);
+    if (!flight) {
+      const controller = new AbortController();
+      flight = { controller, waiters: 0 };
+      flight.promise = Promise.resolve()
+        .then(() => fn(controller.signal))
+        .finally(() => {
+          if (this.flights.get(key) === flight) this.flights.delete(key);
+        });
+      flight.promise.catch(() => {}); // Waiters handle the error; avoid an unhandled rejection if all left
+      this.flights.set(key, flight);
+    }
+    return this._join(flight, signal);
+  }
+
+  _join(flight, signal) {
+    flight.waiters++;
+    if (!signal) {
+      return flight.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        flight.waiters--;
+        if (flight.waiters === 0) {
+          flight.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      flight.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+}
+
+module.exports = { SingleFlight };
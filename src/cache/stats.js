@@ -0,0 +1,263 @@
+/**
+ * Cache usage statistics: per-tool counters buffered in the isolate and flushed to the
+ * CacheStats Durable Object, which aggregates them across isolates
+ */
+
+const COUNTERS = [
+  'hot_hits',         // Fresh KV entry
+  'hot_misses',       // No usable KV entry
+  'cold_hits',        // Fresh R2 entry (after a KV miss)
+  'cold_misses',      // No usable R2 entry either
+  'stale_hits',       // Expired entry served while it is refreshed
+  'misses',           // Nothing servable; went upstream
+  'negative_hits',    // Remembered deterministic failure returned
+  'negative_writes',  // Deterministic failures remembered
+  'promotions',       // R2 entries copied back into KV
+  'writes',           // Entries stored
+  'cold_only_writes', // Entries too large for KV, stored in R2 only
+  'payload_bytes',    // Total size of stored entries
+  'upstream_calls',   // MCP fetches
+  'upstream_ms'       // Total MCP fetch time
+];
+
+// Flush at most this often per isolate unless forced (seconds)
+const DEFAULT_FLUSH_INTERVAL = 10;
+
+// Teams whose lookups are counted for pre-warming; the least requested are dropped beyond this
+const MAX_TRACKED_TEAMS = 500;
+
+// This isolate's last read of the aggregated report: { promise, readAt }
+let recentReport = null;
+
+class CacheStatsBuffer {
+  constructor() {
+    this.tools = {};
+    this.teams = {}; // "<sport>:<teamId>" -> lookups
+    this.lastFlush = 0;
+  }
+
+  increment(tool, counter, amount = 1) {
+    const counters = this.tools[tool] || (this.tools[tool] = {});
+    counters[counter] = (counters[counter] || 0) + amount;
+  }
+
+  /**
+   * Count a cache lookup for a team, ranking teams for pre-warming
+   */
+  incrementTeam(sport, teamId) {
+    const key = `${sport}:${teamId}`;
+    this.teams[key] = (this.teams[key] || 0) + 1;
+  }
+
+  isEmpty() {
+    return Object.keys(this.tools).length === 0 && Object.keys(this.teams).length === 0;
+  }
+
+  /**
+   * Send buffered counters to the CacheStats Durable Object
+   * Skipped when the last flush is more recent than CACHE_STATS_FLUSH_INTERVAL, unless forced
+   */
+  async flush(env, { force = false } = {}) {
+    if (!env.CACHE_STATS || this.isEmpty()) return;
+
+    const interval = parseInt(env.CACHE_STATS_FLUSH_INTERVAL ?? DEFAULT_FLUSH_INTERVAL, 10);
+    if (!force && Date.now() - this.lastFlush < (Number.isNaN(interval) ? DEFAULT_FLUSH_INTERVAL : interval) * 1000) {
+      return;
+    }
+
+    const { tools, teams } = this;
+    this.tools = {};
+    this.teams = {};
+    this.lastFlush = Date.now();
+    try {
+      const response = await statsStub(env).fetch('https://cache-stats/record', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tools, teams })
+      });
+      if (!response.ok) {
+        throw new Error(`status ${response.status}`);
+      }
+    } catch (error) {
+      // Keep the counts for the next flush
+      console.error('Cache stats flush error:', error);
+      mergeCounters(this.tools, tools);
+      mergeTeamCounts(this.teams, teams);
+    }
+  }
+}
+
+function statsStub(env) {
+  return env.CACHE_STATS.get(env.CACHE_STATS.idFromName('global'));
+}
+
+/**
+ * Add per-tool counters from source into target
+ */
+function mergeCounters(target, source) {
+  for (const [tool, counters] of Object.entries(source || {})) {
+    const merged = target[tool] || (target[tool] = {});
+    for (const counter of COUNTERS) {
+      const value = Number(counters[counter]);
+      if (Number.isFinite(value) && value > 0) {
+        merged[counter] = (merged[counter] || 0) + value;
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * Add team lookup counts from source into target, keeping the MAX_TRACKED_TEAMS most requested
+ */
+function mergeTeamCounts(target, source) {
+  for (const [team, count] of Object.entries(source || {})) {
+    const value = Number(count);
+    if (Number.isFinite(value) && value > 0) {
+      target[team] = (target[team] || 0) + value;
+    }
+  }
+
+  const teams = Object.keys(target);
+  if (teams.length > MAX_TRACKED_TEAMS) {
+    teams.sort((a, b) => target[b] - target[a]);
+    for (const team of teams.slice(MAX_TRACKED_TEAMS)) {
+      delete target[team];
+    }
+  }
+  return target;
+}
+
+/**
+ * Teams ranked by lookups: [{ sport, teamId, requests }], optionally for one sport
+ */
+function rankTeams(teams, { sport, limit = 10 } = {}) {
+  return Object.entries(teams || {})
+    .map(([team, requests]) => {
+      const separator = team.indexOf(':');
+      return { sport: team.substring(0, separator), teamId: team.substring(separator + 1), requests };
+    })
+    .filter(team => !sport || team.sport === sport)
+    .sort((a, b) => b.requests - a.requests)
+    .slice(0, limit);
+}
+
+/**
+ * Derived figures for one set of counters: hit rate, average payload size and upstream
+ * latency, and the latency saved by hits (hits x average upstream latency)
+ */
+function summarizeCounters(counters) {
+  const value = (counter) => counters[counter] || 0;
+  const hits = value('hot_hits') + value('cold_hits') + value('stale_hits');
+  const lookups = hits + value('misses');
+  const avgUpstreamMs = value('upstream_calls') ? value('upstream_ms') / value('upstream_calls') : null;
+
+  const summary = {};
+  for (const counter of COUNTERS) {
+    summary[counter] = value(counter);
+  }
+  return {
+    ...summary,
+    hits,
+    lookups,
+    hit_rate: lookups ? Number((hits / lookups).toFixed(4)) : null,
+    avg_payload_bytes: value('writes') ? Math.round(value('payload_bytes') / value('writes')) : null,
+    avg_upstream_ms: avgUpstreamMs === null ? null : Math.round(avgUpstreamMs),
+    latency_saved_ms: avgUpstreamMs === null ? null : Math.round(hits * avgUpstreamMs)
+  };
+}
+
+/**
+ * Report for stored stats ({ since, tools, teams }): totals, per-tool figures and the
+ * most requested teams
+ */
+function summarizeStats(stats) {
+  const tools = {};
+  const combined = {};
+  let latencySaved = null;
+  for (const [tool, counters] of Object.entries(stats.tools || {})) {
+    tools[tool] = summarizeCounters(counters);
+    mergeCounters(combined, { totals: counters });
+    if (tools[tool].latency_saved_ms !== null) {
+      latencySaved = (latencySaved || 0) + tools[tool].latency_saved_ms;
+    }
+  }
+
+  // Saved latency is summed per tool; tools differ too much for one global average
+  const totals = summarizeCounters(combined.totals || {});
+  totals.latency_saved_ms = latencySaved;
+
+  return {
+    since: stats.since ? new Date(stats.since).toISOString() : null,
+    totals,
+    tools,
+    top_teams: rankTeams(stats.teams)
+  };
+}
+
+/**
+ * Read the aggregated report from the CacheStats Durable Object (null when not bound)
+ * With maxAge (seconds), a report this isolate read that recently is reused, so frequent
+ * callers such as /health make at most one Durable Object call per isolate per maxAge
+ */
+async function readCacheStats(env, { maxAge = 0 } = {}) {
+  if (!env.CACHE_STATS) return null;
+
+  if (maxAge > 0 && recentReport && Date.now() - recentReport.readAt < maxAge * 1000) {
+    return recentReport.promise;
+  }
+  const promise = fetchCacheStats(env);
+  recentReport = { promise, readAt: Date.now() };
+  promise.catch(() => {
+    if (recentReport?.promise === promise) recentReport = null; // Failed reads are not reused
+  });
+  return promise;
+}
+
+async function fetchCacheStats(env) {
+  const response = await statsStub(env).fetch('https://cache-stats/stats');
+  if (!response.ok) {
+    throw new Error(`Cache stats unavailable: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Most requested teams for a sport, from the CacheStats Durable Object ([] when not bound)
+ */
+async function readTopTeams(env, sport, limit) {
+  if (!env.CACHE_STATS) return [];
+
+  const url = new URL('https://cache-stats/teams');
+  url.searchParams.set('sport', sport);
+  url.searchParams.set('limit', String(limit));
+  const response = await statsStub(env).fetch(url.toString());
+  if (!response.ok) {
+    throw new Error(`Cache stats unavailable: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Clear the aggregated counters
+ */
+async function resetCacheStats(env) {
+  if (!env.CACHE_STATS) return null;
+
+  const response = await statsStub(env).fetch('https://cache-stats/stats', { method: 'DELETE' });
+  return response.json();
+}
+
+// One buffer per isolate, shared by every CacheManager in it
+const cacheStats = new CacheStatsBuffer();
+
+module.exports = {
+  cacheStats,
+  mergeCounters,
+  mergeTeamCounts,
+  rankTeams,
+  summarizeStats,
+  readCacheStats,
+  readTopTeams,
+  resetCacheStats
+};
@@ -5,6 +5,21 @@
 
 const { ResponsesAPIOrchestrator } = require('./mcp/orchestrator');
 const { CacheManager } = require('./cache/manager');
+const {
+  cacheStats, mergeCounters, mergeTeamCounts, rankTeams, summarizeStats, readCacheStats, resetCacheStats
+} = require('./cache/stats');
+const { AuthProvider } = require('./auth/provider');
+const { slidingWindow, tokenBucket } = require('./auth/rateLimit');
+const { ToolHandler } = require('./intelligence/toolHandler');
+const { MCPCoordinator } = require('./mcp/mcpCoordinator');
+const { circuitConfig, newCircuit, acquireCall, recordCalls, describeCircuit } = require('./mcp/circuitBreaker');
+const { CachePrewarmer } = require('./cache/prewarm');
+
+// Seconds a RequestCoalescer keeps serving its last result (COALESCE_HOLD)
+const DEFAULT_COALESCE_HOLD = 5;
+
+// Seconds /health reuses an isolate's last cache stats and circuit breaker reads
+const HEALTH_MAX_AGE = 30;
 
 /**
  * CORS headers for all responses
@@ -12,8 +27,9 @@ const { CacheManager } = require('./cache/manager');
 function getCorsHeaders() {
   return {
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
     "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Expose-Headers": "X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After",
     "Access-Control-Max-Age": "86400"
   };
 }
@@ -47,15 +63,18 @@ function createErrorResponse(message, status = 400) {
 /**
  * Handle OpenAI Responses API requests natively
  */
-async function handleResponsesAPI(request, env) {
+async function handleResponsesAPI(request, env, ctx, user) {
   try {
     const body = await request.json();
-    const orchestrator = new ResponsesAPIOrchestrator(env);
+    const orchestrator = new ResponsesAPIOrchestrator(env, ctx);
     
     // Handle the Responses API request format
-    const { model = "gpt-4.1", input, tools, previous_response_id, instructions, stream = false, memories } = body;
+    const {
+      model = "gpt-4.1", input, tools, previous_response_id, instructions, stream = false, memories, store = true,
+      max_tool_calls, tool_choice, parallel_tool_calls, max_output_tokens, temperature, metadata, user: endUser
+    } = body;
     
-    // Process the request through our orchestrator
+    // Process the request through our orchestrator (generation options are validated there)
     const result = await orchestrator.processResponsesAPIRequest({
       model,
       input,
@@ -63,11 +82,22 @@ async function handleResponsesAPI(request, env) {
       previous_response_id,
       instructions,
       stream,
-      memories
+      memories,
+      store,
+      owner: user?.id,
+      max_tool_calls,
+      tool_choice,
+      parallel_tool_calls,
+      max_output_tokens,
+      temperature,
+      metadata,
+      user: endUser,
+      signal: request.signal
     });
     
     if (stream) {
-      return new Response(result.stream, {
+      // The orchestrator returns the SSE Response itself
+      return new Response(result.body, {
         headers: {
           "Content-Type": "text/event-stream",
           "Cache-Control": "no-cache",
@@ -81,6 +111,42 @@ async function handleResponsesAPI(request, env) {
       headers: { "Content-Type": "application/json", ...getCorsHeaders() }
     });
     
+  } catch (error) {
+    return createErrorResponse(`Responses API error: ${error.message}`, error.status || 500);
+  }
+}
+
+/**
+ * Handle stored responses (GET / DELETE /responses/{id})
+ */
+async function handleStoredResponse(request, env, responseId, user) {
+  const orchestrator = new ResponsesAPIOrchestrator(env);
+  
+  try {
+    switch (request.method) {
+      case 'GET': {
+        const response = await orchestrator.getStoredResponse(responseId, user?.id);
+        if (!response) {
+          return createErrorResponse(`Response with id '${responseId}' not found.`, 404);
+        }
+        return new Response(JSON.stringify(response), {
+          headers: { "Content-Type": "application/json", ...getCorsHeaders() }
+        });
+      }
+        
+      case 'DELETE': {
+        const deleted = await orchestrator.deleteStoredResponse(responseId, user?.id);
+        if (!deleted) {
+          return createErrorResponse(`Response with id '${responseId}' not found.`, 404);
+        }
+        return new Response(JSON.stringify({ id: responseId, object: 'response', deleted: true }), {
+          headers: { "Content-Type": "application/json", ...getCorsHeaders() }
+        });
+      }
+        
+      default:
+        return createErrorResponse(`Method ${request.method} not allowed`, 405);
+    }
   } catch (error) {
     return createErrorResponse(`Responses API error: ${error.message}`, 500);
   }
@@ -89,10 +155,10 @@ async function handleResponsesAPI(request, env) {
 /**
  * Handle legacy MCP protocol requests (deprecated - use Responses API)
  */
-async function handleLegacyMCP(request, env) {
+async function handleLegacyMCP(request, env, ctx) {
   try {
     const body = await request.json();
-    const orchestrator = new ResponsesAPIOrchestrator(env);
+    const orchestrator = new ResponsesAPIOrchestrator(env, ctx);
     
     switch (body.method) {
       case 'tools/list':
@@ -101,33 +167,10 @@ async function handleLegacyMCP(request, env) {
         });
         
       case 'tools/call':
-        const cache = new CacheManager(env);
         const { name, arguments: args } = body.params;
         
-        // Check cache first
-        const cached = await cache.get(name, args);
-        if (cached) {
-          return new Response(JSON.stringify({
-            content: [{
-              type: "text",
-              text: JSON.stringify(cached.data, null, 2)
-            }],
-            _meta: {
-              source: cached.source,
-              age: cached.age
-            }
-          }), {
-            headers: { "Content-Type": "application/json", ...getCorsHeaders() }
-          });
-        }
-        
-        // Call tool and cache result
-        const result = await orchestrator.callTool(name, args);
-        
-        if (!result.isError) {
-          const ttl = cache.getSmartTTL(name, args);
-          await cache.set(name, args, JSON.parse(result.content[0].text));
-        }
+        // Cached (or stale-while-revalidate) result, else a live call; _meta carries the source
+        const result = await orchestrator.callTool(name, args, { signal: request.signal });
         
         return new Response(JSON.stringify(result), {
           headers: { "Content-Type": "application/json", ...getCorsHeaders() }
@@ -144,7 +187,7 @@ async function handleLegacyMCP(request, env) {
 /**
  * Handle SSE (Server-Sent Events) streaming
  */
-async function handleSSE(request, env) {
+async function handleSSE(request, env, ctx) {
   const url = new URL(request.url);
   const searchParams = url.searchParams;
   
@@ -170,7 +213,7 @@ async function handleSSE(request, env) {
   const writer = writable.getWriter();
   
   // Start processing in background
-  processSSERequest(tool, args, writer, env).catch(error => {
+  processSSERequest(tool, args, writer, env, ctx, request.signal).catch(error => {
     console.error('SSE processing error:', error);
     writer.close();
   });
@@ -186,57 +229,37 @@ async function handleSSE(request, env) {
 }
 
 /**
- * Process SSE request in background
+ * Process SSE request in background; signal stops the tool call when the client disconnects
  */
-async function processSSERequest(tool, args, writer, env) {
+async function processSSERequest(tool, args, writer, env, ctx, signal) {
   const encoder = new TextEncoder();
   
   try {
     // Send initial connection event
     await writer.write(encoder.encode(`event: connected\ndata: {"status":"connected","tool":"${tool}"}\n\n`));
     
-    const orchestrator = new ResponsesAPIOrchestrator(env);
-    const cache = new CacheManager(env);
-    
-    // Check cache first
-    const cached = await cache.get(tool, args);
-    if (cached) {
-      await writer.write(encoder.encode(`event: data\ndata: ${JSON.stringify({
-        data: cached.data,
-        meta: { source: cached.source, age: cached.age }
-      })}\n\n`));
-      
-      await writer.write(encoder.encode(`event: complete\ndata: {"status":"complete","source":"cache"}\n\n`));
-      await writer.close();
-      return;
-    }
+    const orchestrator = new ResponsesAPIOrchestrator(env, ctx);
     
     // Send processing event
     await writer.write(encoder.encode(`event: processing\ndata: {"status":"processing","tool":"${tool}"}\n\n`));
     
-    // Call tool
-    const result = await orchestrator.callTool(tool, args);
+    // Call tool (served from cache when possible)
+    const result = await orchestrator.callTool(tool, args, { signal });
+    const source = result._meta?.source === 'live' ? 'live' : 'cache';
     
     if (result.isError) {
-      await writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({
-        error: result.content[0].text
-      })}\n\n`));
+      // The tool error payload: { error, code, retryable, cached?, tool, arguments }
+      await writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify(JSON.parse(result.content[0].text))}\n\n`));
     } else {
-      const data = JSON.parse(result.content[0].text);
-      
-      // Cache result
-      const ttl = cache.getSmartTTL(tool, args);
-      await cache.set(tool, args, data);
-      
       // Send data
       await writer.write(encoder.encode(`event: data\ndata: ${JSON.stringify({
-        data: data,
-        meta: { source: 'live', ttl: ttl }
+        data: JSON.parse(result.content[0].text),
+        meta: result._meta
       })}\n\n`));
     }
     
     // Send completion event
-    await writer.write(encoder.encode(`event: complete\ndata: {"status":"complete","source":"live"}\n\n`));
+    await writer.write(encoder.encode(`event: complete\ndata: {"status":"complete","source":"${source}"}\n\n`));
     
   } catch (error) {
     await writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({
@@ -250,7 +273,7 @@ async function processSSERequest(tool, args, writer, env) {
 /**
  * Handle Streamable HTTP requests
  */
-async function handleStreamableHTTP(request, env) {
+async function handleStreamableHTTP(request, env, ctx) {
   try {
     const body = await request.json();
     const { tool, args } = body;
@@ -259,43 +282,24 @@ async function handleStreamableHTTP(request, env) {
       return createErrorResponse('Missing tool parameter');
     }
     
-    const orchestrator = new ResponsesAPIOrchestrator(env);
-    const cache = new CacheManager(env);
+    const orchestrator = new ResponsesAPIOrchestrator(env, ctx);
     
-    // Check cache first
-    const cached = await cache.get(tool, args || {});
-    if (cached) {
-      return new Response(JSON.stringify({
-        data: cached.data,
-        meta: { 
-          source: cached.source, 
-          age: cached.age,
-          cached: true
-        }
-      }), {
-        headers: { "Content-Type": "application/json", ...getCorsHeaders() }
-      });
-    }
-    
-    // Call tool
-    const result = await orchestrator.callTool(tool, args || {});
+    // Call tool (served from cache when possible)
+    const result = await orchestrator.callTool(tool, args || {}, { signal: request.signal });
     
     if (result.isError) {
-      return createErrorResponse(result.content[0].text, 500);
+      // Body is the tool error payload: { error, code, retryable, cached?, tool, arguments }
+      return new Response(result.content[0].text, {
+        status: result._meta.status,
+        headers: { "Content-Type": "application/json", ...getCorsHeaders() }
+      });
     }
     
-    const data = JSON.parse(result.content[0].text);
-    
-    // Cache result
-    const ttl = cache.getSmartTTL(tool, args || {});
-    await cache.set(tool, args || {}, data);
-    
     return new Response(JSON.stringify({
-      data: data,
+      data: JSON.parse(result.content[0].text),
       meta: { 
-        source: 'live', 
-        ttl: ttl,
-        cached: false
+        ...result._meta,
+        cached: result._meta.source !== 'live'
       }
     }), {
       headers: { "Content-Type": "application/json", ...getCorsHeaders() }
@@ -306,6 +310,77 @@ async function handleStreamableHTTP(request, env) {
   }
 }
 
+/**
+ * Handle cache invalidation (POST /admin/cache/invalidate, admin scope)
+ * Body: { "pattern": "team:147" } or { "patterns": ["team:147", "tool:get_standings"] }
+ */
+async function handleCacheInvalidate(request, env) {
+  if (request.method !== 'POST') {
+    return createErrorResponse(`Method ${request.method} not allowed`, 405);
+  }
+
+  try {
+    const body = await request.json();
+    const patterns = body.patterns || (body.pattern ? [body.pattern] : []);
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      return createErrorResponse('Missing pattern (e.g. "team:147", "player:592450", "game:746012" or "tool:get_team_roster")', 400);
+    }
+
+    // One manager, so every pattern draws on the same per-request delete budget
+    const cache = new CacheManager(env);
+    const results = [];
+    try {
+      for (const pattern of patterns) {
+        results.push(await cache.invalidate(pattern));
+      }
+    } catch (error) {
+      const invalidated = results.reduce((total, result) => total + result.invalidated, error.invalidated || 0);
+      const removed = invalidated > 0 ? ` (${invalidated} entries were invalidated before it)` : '';
+      return createErrorResponse(`Cache invalidation error: ${error.message}${removed}`, error.status || 500);
+    }
+
+    return new Response(JSON.stringify({
+      invalidated: results.reduce((total, result) => total + result.invalidated, 0),
+      remaining: results.reduce((total, result) => total + result.remaining, 0),
+      results
+    }), {
+      headers: { "Content-Type": "application/json", ...getCorsHeaders() }
+    });
+  } catch (error) {
+    return createErrorResponse(`Cache invalidation error: ${error.message}`, error.status || 500);
+  }
+}
+
+/**
+ * Handle cache usage statistics (/admin/cache/stats, admin scope)
+ * GET returns totals and per-tool counters; DELETE resets them
+ */
+async function handleCacheStats(request, env) {
+  if (request.method !== 'GET' && request.method !== 'DELETE') {
+    return createErrorResponse(`Method ${request.method} not allowed`, 405);
+  }
+  if (!env.CACHE_STATS) {
+    return createErrorResponse('Cache statistics are not configured (CACHE_STATS binding missing)', 501);
+  }
+
+  try {
+    let result;
+    if (request.method === 'DELETE') {
+      result = await resetCacheStats(env);
+    } else {
+      // Include this isolate's unsent counts
+      await cacheStats.flush(env, { force: true });
+      result = await readCacheStats(env);
+    }
+
+    return new Response(JSON.stringify(result), {
+      headers: { "Content-Type": "application/json", ...getCorsHeaders() }
+    });
+  } catch (error) {
+    return createErrorResponse(`Cache stats error: ${error.message}`, error.status || 500);
+  }
+}
+
 /**
  * Handle health check
  */
@@ -313,9 +388,10 @@ async function handleHealth(env) {
   const orchestrator = new ResponsesAPIOrchestrator(env);
   const cache = new CacheManager(env);
   
+  // Public and polled: Durable Object reads are reused for HEALTH_MAX_AGE within an isolate
   const [mcpHealth, cacheStats] = await Promise.all([
-    orchestrator.healthCheck(),
-    cache.getStats()
+    orchestrator.healthCheck({ circuitMaxAge: HEALTH_MAX_AGE }),
+    cache.getStats({ usageMaxAge: HEALTH_MAX_AGE })
   ]);
   
   return new Response(JSON.stringify({
@@ -342,27 +418,86 @@ async function handleRequest(request, env, ctx) {
     return handleOptions();
   }
   
-  // Route requests
+  // Authenticate everything except public routes
+  const authProvider = new AuthProvider(env);
+  const auth = await authProvider.validateRequest(request);
+  if (!auth.valid) {
+    return authProvider.createAuthErrorResponse(auth.error, auth.status, getCorsHeaders());
+  }
+  
+  // Enforce per-key rate limits
+  const rateLimit = await authProvider.checkRateLimit(auth.user, request);
+  const rateLimitHeaders = authProvider.getRateLimitHeaders(rateLimit);
+  if (!rateLimit.allowed) {
+    return new Response(JSON.stringify({
+      error: 'Rate limit exceeded',
+      message: `Limit of ${rateLimit.limit} requests reached, retry in ${rateLimit.retryAfter}s`,
+      retry_after: rateLimit.retryAfter
+    }), {
+      status: 429,
+      headers: { "Content-Type": "application/json", ...rateLimitHeaders, ...getCorsHeaders() }
+    });
+  }
+  
+  const response = await routeRequest(request, env, ctx, path, auth.user);
+
+  // Send this isolate's cache counters to CacheStats (throttled by CACHE_STATS_FLUSH_INTERVAL)
+  ctx.waitUntil(cacheStats.flush(env));
+
+  return withHeaders(response, rateLimitHeaders);
+}
+
+/**
+ * Copy a response with extra headers (works for streamed bodies too)
+ */
+function withHeaders(response, headers) {
+  if (Object.keys(headers).length === 0) {
+    return response;
+  }
+  const result = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    result.headers.set(name, value);
+  }
+  return result;
+}
+
+/**
+ * Route an authenticated request to its handler
+ */
+async function routeRequest(request, env, ctx, path, user) {
+  if (path.startsWith('/responses/')) {
+    // Stored response retrieval / deletion
+    return handleStoredResponse(request, env, decodeURIComponent(path.substring('/responses/'.length)), user);
+  }
+  
   switch (path) {
     case '/responses':
       // OpenAI Responses API native endpoint (PRIMARY)
-      return handleResponsesAPI(request, env);
+      return handleResponsesAPI(request, env, ctx, user);
       
     case '/mcp':
       // Legacy MCP protocol endpoint (DEPRECATED - use /responses)
-      return handleLegacyMCP(request, env);
+      return handleLegacyMCP(request, env, ctx);
       
     case '/sse':
       // Server-Sent Events endpoint
-      return handleSSE(request, env);
+      return handleSSE(request, env, ctx);
       
     case '/stream':
       // Streamable HTTP endpoint
-      return handleStreamableHTTP(request, env);
+      return handleStreamableHTTP(request, env, ctx);
       
     case '/health':
       // Health check endpoint
       return handleHealth(env);
+
+    case '/admin/cache/invalidate':
+      // Purge cached tool results by tool or entity (admin scope)
+      return handleCacheInvalidate(request, env);
+
+    case '/admin/cache/stats':
+      // Cache hit/miss/latency counters (admin scope)
+      return handleCacheStats(request, env);
       
     case '/':
       // Root endpoint - basic info
@@ -372,10 +507,13 @@ async function handleRequest(request, env, ctx) {
         api: 'OpenAI Responses API Native',
         endpoints: {
           responses: '/responses (PRIMARY - OpenAI Responses API)',
+          stored_responses: '/responses/{id} (GET / DELETE stored responses)',
           mcp: '/mcp (DEPRECATED - use /responses)',
           sse: '/sse (Server-Sent Events)',
           stream: '/stream (Streamable HTTP)',
-          health: '/health (Health Check)'
+          health: '/health (Health Check)',
+          cache_invalidate: '/admin/cache/invalidate (POST, admin scope)',
+          cache_stats: '/admin/cache/stats (GET / DELETE, admin scope)'
         },
         description: 'OpenAI Responses API native orchestrator for sports data with advanced caching and streaming',
         migration: 'All new integrations should use /responses endpoint with OpenAI Responses API format'
@@ -393,6 +531,8 @@ async function handleRequest(request, env, ctx) {
 
 /**
  * RateLimiter Durable Object for rate limiting and coordination
+ * Supports a sliding-window counter (default) and a token bucket, both of
+ * which avoid the burst a fixed window allows at its boundaries.
  */
 export class RateLimiter {
   constructor(state, env) {
@@ -401,43 +541,197 @@ export class RateLimiter {
   }
 
   async fetch(request) {
-    // Simple rate limiting implementation
     const url = new URL(request.url);
     const key = url.searchParams.get('key') || 'default';
     const limit = parseInt(url.searchParams.get('limit') || '100');
     const window = parseInt(url.searchParams.get('window') || '60'); // seconds
+    const algorithm = url.searchParams.get('algorithm') || 'sliding-window';
 
-    const currentTime = Math.floor(Date.now() / 1000);
-    const windowStart = currentTime - window;
+    // Each algorithm keeps its own state for the key
+    const storageKey = `${algorithm === 'token-bucket' ? 'tb' : 'sw'}:${key}`;
+    const apply = algorithm === 'token-bucket' ? tokenBucket : slidingWindow;
+    const { state, result } = apply(await this.state.storage.get(storageKey), limit, window, Date.now());
+    await this.state.storage.put(storageKey, state);
 
-    // Get current count
-    const currentCount = await this.state.storage.get(`count:${key}`) || 0;
-    const lastReset = await this.state.storage.get(`reset:${key}`) || 0;
+    return new Response(JSON.stringify({ ...result, limit }), {
+      status: result.allowed ? 200 : 429,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
 
-    // Reset if window expired
-    if (lastReset < windowStart) {
-      await this.state.storage.put(`count:${key}`, 1);
-      await this.state.storage.put(`reset:${key}`, currentTime);
-      return new Response(JSON.stringify({ allowed: true, remaining: limit - 1 }), {
+/**
+ * Request Coalescer Durable Object
+ * One instance per cache key (idFromName): concurrent misses from every isolate share a
+ * single upstream fetch, which also writes the cache, and all waiters get its result.
+ * The result is then held for COALESCE_HOLD seconds (at most its TTL), so misses from
+ * isolates that cannot see the cache write yet reuse it instead of fetching again.
+ * The fetch is cancelled once every waiter has disconnected.
+ */
+export class RequestCoalescer {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.inflight = null; // { promise, controller, waiters }
+    this.recent = null; // { result, expiresAt }
+    const hold = parseFloat(env.COALESCE_HOLD);
+    this.holdMs = (hold >= 0 ? hold : DEFAULT_COALESCE_HOLD) * 1000;
+  }
+
+  async fetch(request) {
+    const { tool, args } = await request.json();
+
+    let coalesced = true;
+    if (!this.inflight && !(this.recent?.expiresAt > Date.now())) {
+      coalesced = false;
+      this.recent = null;
+      this.inflight = this._startFetch(tool, args);
+    }
+
+    const flight = this.inflight;
+    const leave = flight ? this._join(flight, request.signal) : null;
+    try {
+      const { data, meta } = await (flight ? flight.promise : this.recent.result);
+      return new Response(JSON.stringify({ data, meta: { ...meta, coalesced } }), {
         headers: { "Content-Type": "application/json" }
       });
+    } catch (error) {
+      // Keep the classification so the calling isolate can report (and not retry) it
+      return new Response(JSON.stringify({
+        error: error.message,
+        code: error.code,
+        status: error.status,
+        retryable: error.retryable
+      }), {
+        status: error.status || 502,
+        headers: { "Content-Type": "application/json" }
+      });
+    } finally {
+      leave?.();
     }
+  }
+
+  _startFetch(tool, args) {
+    const controller = new AbortController();
+    const toolHandler = new ToolHandler(this.env, new MCPCoordinator(this.env), new CacheManager(this.env));
+    const promise = toolHandler._fetchFromSource(tool, args, { signal: controller.signal })
+      .then(result => {
+        const holdMs = Math.min(this.holdMs, (result.meta.ttl || 0) * 1000);
+        this.recent = { result, expiresAt: Date.now() + holdMs };
+        return result;
+      })
+      .finally(() => {
+        this.inflight = null;
+        // The upstream call was timed here, not in the calling isolate
+        this.state.waitUntil(cacheStats.flush(this.env));
+      });
+    return { promise, controller, waiters: 0 };
+  }
 
-    // Check limit
-    if (currentCount >= limit) {
-      return new Response(JSON.stringify({ allowed: false, remaining: 0 }), {
-        status: 429,
+  /**
+   * Count a waiter on the fetch until it gets its answer or disconnects (its request's
+   * signal aborts); the last one to disconnect cancels the fetch. Returns leave().
+   */
+  _join(flight, signal) {
+    flight.waiters++;
+    let left = false;
+    const leave = () => {
+      if (left) return;
+      left = true;
+      signal?.removeEventListener('abort', leave);
+      if (--flight.waiters === 0) {
+        flight.controller.abort(new DOMException('Every waiter disconnected', 'AbortError'));
+      }
+    };
+    if (signal?.aborted) {
+      leave();
+    } else {
+      signal?.addEventListener('abort', leave, { once: true });
+    }
+    return leave;
+  }
+}
+
+/**
+ * Cache Stats Durable Object
+ * A single instance (idFromName('global')) sums the per-tool counters and team lookups
+ * flushed by every isolate
+ */
+export class CacheStats {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const stats = await this.state.storage.get('stats') || { since: Date.now(), tools: {}, teams: {} };
+
+    if (request.method === 'POST' && url.pathname === '/record') {
+      const { tools, teams } = await request.json();
+      mergeCounters(stats.tools, tools);
+      mergeTeamCounts(stats.teams || (stats.teams = {}), teams);
+      await this.state.storage.put('stats', stats);
+      return new Response(null, { status: 204 });
+    }
+
+    if (url.pathname === '/teams') {
+      // Most requested teams, used by scheduled pre-warming
+      const teams = rankTeams(stats.teams, {
+        sport: url.searchParams.get('sport') || undefined,
+        limit: parseInt(url.searchParams.get('limit')) || 10
+      });
+      return new Response(JSON.stringify(teams), {
         headers: { "Content-Type": "application/json" }
       });
     }
 
-    // Increment counter
-    await this.state.storage.put(`count:${key}`, currentCount + 1);
-    
-    return new Response(JSON.stringify({ 
-      allowed: true, 
-      remaining: limit - currentCount - 1 
-    }), {
+    if (request.method === 'DELETE') {
+      await this.state.storage.delete('stats');
+      return new Response(JSON.stringify({ reset: true, since: new Date().toISOString() }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    return new Response(JSON.stringify(summarizeStats(stats)), {
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+}
+
+/**
+ * Circuit Breaker Durable Object
+ * One instance per MCP service binding (idFromName(binding)) holds the circuit every
+ * isolate checks before calling that service
+ */
+export class CircuitBreaker {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.config = circuitConfig(env);
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    const circuit = await this.state.storage.get('circuit') || newCircuit(Date.now());
+
+    if (request.method === 'POST' && url.pathname === '/acquire') {
+      const result = acquireCall(circuit, this.config);
+      await this.state.storage.put('circuit', circuit);
+      return new Response(JSON.stringify({ ...result, state: circuit.state, retryAt: circuit.retryAt }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/record') {
+      recordCalls(circuit, await request.json(), this.config);
+      await this.state.storage.put('circuit', circuit);
+      return new Response(JSON.stringify({ state: circuit.state, retryAt: circuit.retryAt }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    return new Response(JSON.stringify(describeCircuit(circuit)), {
       headers: { "Content-Type": "application/json" }
     });
   }
@@ -447,5 +741,15 @@ export class RateLimiter {
 export default {
   async fetch(request, env, ctx) {
     return handleRequest(request, env, ctx);
+  },
+
+  // Cron triggers ([triggers] in wrangler.toml): the trigger named by CACHE_SWEEP_CRON deletes
+  // expired R2 entries, the others pre-warm the cache before game windows
+  async scheduled(controller, env, ctx) {
+    if (env.CACHE_SWEEP_CRON && controller.cron === env.CACHE_SWEEP_CRON) {
+      ctx.waitUntil(new CacheManager(env).sweepCold());
+      return;
+    }
+    ctx.waitUntil(new CachePrewarmer(env, ctx).run());
   }
 };
\ No newline at end of file
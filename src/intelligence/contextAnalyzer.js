@@ -60,6 +60,15 @@ class ContextAnalyzer {
     if (mlbPatterns.some(pattern => contextText.includes(pattern))) {
       return 'mlb';
     }
+    // Detected so routing can reject them unless registered, instead of asking the MLB service
+    const nflPatterns = ['nfl', 'football', 'patriots', 'cowboys', 'packers', 'steelers', 'chiefs'];
+    if (nflPatterns.some(pattern => contextText.includes(pattern))) {
+      return 'nfl';
+    }
+    const nbaPatterns = ['nba', 'basketball', 'lakers', 'warriors', 'celtics', 'knicks', 'lebron'];
+    if (nbaPatterns.some(pattern => contextText.includes(pattern))) {
+      return 'nba';
+    }
     return 'mlb'; // Default
   }
   
@@ -1,11 +1,54 @@
+const { SingleFlight } = require('../cache/singleFlight');
+const { ContextAnalyzer } = require('./contextAnalyzer');
+
+// Upstream fetches in flight in this isolate, keyed by cache key
+const inflightFetches = new SingleFlight();
+
+// Entity type produced by each resolver tool
+const RESOLVER_ENTITY_TYPES = {
+  'resolve_team': 'team',
+  'resolve_player': 'player'
+};
+
+// Entities each data tool needs before it can run
+const TOOL_ENTITY_MAP = {
+  'get_team_info': ['team'],
+  'get_team_roster': ['team'],
+  'get_player_stats': ['player'],
+  'get_schedule': ['team'],
+};
+
+// Argument carrying each entity's ID
+const ENTITY_ID_ARGS = {
+  'team': 'teamId',
+  'player': 'playerId'
+};
+
+// Optional on every tool; resolved entities fill it in when the model leaves it out
+const SPORT_PARAMETER = {
+  type: "string",
+  description: "Sport (e.g., 'mlb', 'hockey'); defaults to the sport of the resolved team or player"
+};
+
+/**
+ * Rebuild a classified tool error (code, status, retryable) from its serialized form
+ */
+function restoreError({ message, code, status, retryable }, extra = {}) {
+  const error = new Error(message);
+  Object.assign(error, { code, status, retryable }, extra);
+  return error;
+}
+
 /**
  * Handles tool filtering, extraction, processing, and enrichment.
  */
 class ToolHandler {
-  constructor(env, mcpCoordinator, cacheManager) {
+  constructor(env, mcpCoordinator, cacheManager, ctx) {
     this.env = env;
     this.mcpCoordinator = mcpCoordinator; // Dependency for executing tools
     this.cacheManager = cacheManager; // Dependency for caching tool results
+    this.ctx = ctx; // ExecutionContext, keeps background cache refreshes alive
+    this.contextAnalyzer = new ContextAnalyzer(env);
   }
 
   /**
@@ -32,8 +75,9 @@ class ToolHandler {
 
   /**
    * Extract tool calls from input
+   * knownEntities holds entities resolved earlier in the conversation ({ team, player })
    */
-  extractToolCalls(input, tools) {
+  extractToolCalls(input, tools, knownEntities = {}) {
     const toolCalls = [];
     if (!tools || tools.length === 0) {
       return toolCalls;
@@ -48,24 +92,38 @@ class ToolHandler {
       schedule: ['schedule', 'games', 'when', 'playing'],
       standings: ['standings', 'rankings', 'position', 'place']
     };
+    // Names by sport, so resolvers are sent to the right service
     const entityPatterns = {
-      teams: ['yankees', 'red sox', 'dodgers', 'giants', 'mets', 'cubs', 'braves', 'astros',
-              'bruins', 'rangers', 'penguins', 'oilers', 'lightning', 'blackhawks'],
-      players: ['judge', 'ohtani', 'trout', 'betts', 'acuna', 'freeman',
-                'mcdavid', 'crosby', 'ovechkin', 'pastrnak', 'draisaitl', 'mackinnon']
+      teams: {
+        mlb: ['yankees', 'red sox', 'dodgers', 'giants', 'mets', 'cubs', 'braves', 'astros'],
+        hockey: ['bruins', 'rangers', 'penguins', 'oilers', 'lightning', 'blackhawks']
+      },
+      players: {
+        mlb: ['judge', 'ohtani', 'trout', 'betts', 'acuna', 'freeman'],
+        hockey: ['mcdavid', 'crosby', 'ovechkin', 'pastrnak', 'draisaitl', 'mackinnon']
+      }
+    };
+    const findEntity = (namesBySport) => {
+      for (const [sport, names] of Object.entries(namesBySport)) {
+        const name = names.find(candidate => inputText.includes(candidate));
+        if (name) return { name, sport };
+      }
+      return null;
     };
 
-    const hasTeamEntity = entityPatterns.teams.some(team => inputText.includes(team));
-    const hasPlayerEntity = entityPatterns.players.some(player => inputText.includes(player));
+    const teamEntity = findEntity(entityPatterns.teams);
+    const playerEntity = findEntity(entityPatterns.players);
+    const hasTeamEntity = !!teamEntity;
+    const hasPlayerEntity = !!playerEntity;
+    // Follow-ups like "their roster" can lean on entities from earlier turns
+    const hasKnownPlayer = hasPlayerEntity || !!knownEntities.player;
 
-    if (hasTeamEntity || hasPlayerEntity) {
+    if (hasTeamEntity || hasPlayerEntity || knownEntities.team || knownEntities.player) {
       if (hasTeamEntity && tools.some(t => t.name === 'resolve_team' || (typeof t.function === 'object' && t.function.name === 'resolve_team'))) {
-        const teamName = entityPatterns.teams.find(team => inputText.includes(team));
-        toolCalls.push({ name: 'resolve_team', arguments: { name: teamName } });
+        toolCalls.push({ name: 'resolve_team', arguments: teamEntity });
       }
       if (hasPlayerEntity && tools.some(t => t.name === 'resolve_player' || (typeof t.function === 'object' && t.function.name === 'resolve_player'))) {
-        const playerName = entityPatterns.players.find(player => inputText.includes(player));
-        toolCalls.push({ name: 'resolve_player', arguments: { name: playerName } });
+        toolCalls.push({ name: 'resolve_player', arguments: playerEntity });
       }
 
       if (intentPatterns.roster.some(pattern => inputText.includes(pattern)) &&
@@ -75,7 +133,7 @@ class ToolHandler {
                  tools.some(t => t.name === 'get_team_info' || (typeof t.function === 'object' && t.function.name === 'get_team_info'))) {
         toolCalls.push({ name: 'get_team_info', arguments: {} });
       } else if (intentPatterns.stats.some(pattern => inputText.includes(pattern)) &&
-                 tools.some(t => t.name === 'get_player_stats' || (typeof t.function === 'object' && t.function.name === 'get_player_stats')) && hasPlayerEntity) {
+                 tools.some(t => t.name === 'get_player_stats' || (typeof t.function === 'object' && t.function.name === 'get_player_stats')) && hasKnownPlayer) {
         toolCalls.push({ name: 'get_player_stats', arguments: {} });
       }
     }
@@ -107,86 +165,265 @@ class ToolHandler {
 
   /**
    * Process multiple tool calls with approve/enrich step
+   * knownEntities seeds enrichment with entities resolved in earlier turns.
+   * Resolvers start concurrently; each data tool starts as soon as the entities it
+   * needs (TOOL_ENTITY_MAP) are resolved. Results keep resolvers first, in call order.
+   * options.onToolStart(name, args) / options.onToolResult(result, startValue) report progress;
+   * options.parallel = false runs the calls one at a time in the same order.
    */
-  async processToolCalls(toolCalls) {
-    const results = [];
-    const resolverResults = new Map();
-
-    for (const toolCall of toolCalls) {
-      if (toolCall.name === 'resolve_team' || toolCall.name === 'resolve_player') {
-        try {
-          const result = await this._executeSingleTool(toolCall.name, toolCall.arguments);
-          results.push({ tool: toolCall.name, result: result, success: true });
-          if (result && result.id) {
-            const entityType = toolCall.name === 'resolve_team' ? 'team' : 'player';
-            resolverResults.set(entityType, result);
-          }
-        } catch (error) {
-          results.push({ tool: toolCall.name, error: error.message, success: false });
-        }
+  async processToolCalls(toolCalls, knownEntities = {}, options = {}) {
+    const { onToolStart, onToolResult, parallel = true, ...executeOptions } = options;
+    const entityPromises = new Map(
+      Object.entries(knownEntities).map(([entityType, entity]) => [entityType, Promise.resolve(entity)])
+    );
+    let queue = Promise.resolve();
+
+    const execute = async (toolName, args, extra = {}) => {
+      const started = onToolStart ? await onToolStart(toolName, args) : undefined;
+      let result;
+      try {
+        const data = await this._executeSingleTool(toolName, args, executeOptions);
+        result = { tool: toolName, result: data, success: true, ...extra };
+      } catch (error) {
+        result = { tool: toolName, error: error.message, success: false, ...this.describeError(error) };
       }
-    }
+      if (onToolResult) await onToolResult(result, started);
+      return result;
+    };
+    const run = parallel
+      ? execute
+      : (...args) => (queue = queue.then(() => execute(...args), () => execute(...args)));
+
+    const resolverRuns = toolCalls
+      .filter(toolCall => RESOLVER_ENTITY_TYPES[toolCall.name])
+      .map(toolCall => {
+        const entityType = RESOLVER_ENTITY_TYPES[toolCall.name];
+        const execution = run(toolCall.name, toolCall.arguments);
+        // Fall back to the previously known entity if this resolver fails
+        const previous = entityPromises.get(entityType) || Promise.resolve(undefined);
+        entityPromises.set(entityType, execution.then(
+          result => (result.success && result.result && result.result.id ? result.result : previous),
+          () => previous
+        ));
+        return execution;
+      });
 
-    for (const toolCall of toolCalls) {
-      if (toolCall.name !== 'resolve_team' && toolCall.name !== 'resolve_player') {
-        try {
-          const enrichedArgs = this._enrichToolArguments(toolCall, resolverResults);
-          const result = await this._executeSingleTool(toolCall.name, enrichedArgs);
-          results.push({ tool: toolCall.name, result: result, success: true, enriched: enrichedArgs !== toolCall.arguments });
-        } catch (error) {
-          results.push({ tool: toolCall.name, error: error.message, success: false });
+    const dataRuns = toolCalls
+      .filter(toolCall => !RESOLVER_ENTITY_TYPES[toolCall.name])
+      .map(async toolCall => {
+        const resolverResults = new Map();
+        for (const entityType of TOOL_ENTITY_MAP[toolCall.name] || []) {
+          const entity = await entityPromises.get(entityType);
+          if (entity) resolverResults.set(entityType, entity);
         }
+        const enrichedArgs = this._enrichToolArguments(toolCall, resolverResults);
+        return run(toolCall.name, enrichedArgs, { enriched: enrichedArgs !== toolCall.arguments });
+      });
+
+    return [...await Promise.all(resolverRuns), ...await Promise.all(dataRuns)];
+  }
+
+  /**
+   * Collect entities resolved by resolver tools ({ team, player }) for conversation state
+   * Entities keep the sport they were resolved in, so follow-up turns reach the same service
+   */
+  extractResolvedEntities(toolResults) {
+    const entities = {};
+    for (const result of toolResults) {
+      if (!result.success || !result.result || !result.result.id) continue;
+      const entityType = RESOLVER_ENTITY_TYPES[result.tool];
+      if (entityType) {
+        entities[entityType] = result.result;
       }
     }
-    return results;
+    return entities;
   }
 
   /**
-   * Enrich tool arguments with resolved entity IDs
+   * Enrich tool arguments with resolved entity IDs and the sport they belong to
    */
   _enrichToolArguments(toolCall, resolverResults) {
     const enrichedArgs = { ...toolCall.arguments };
-    const toolEntityMap = {
-      'get_team_info': ['team'],
-      'get_team_roster': ['team'],
-      'get_player_stats': ['player'],
-      'get_schedule': ['team'],
-    };
-    const requiredEntities = toolEntityMap[toolCall.name] || [];
+    const requiredEntities = TOOL_ENTITY_MAP[toolCall.name] || [];
 
     for (const entityType of requiredEntities) {
       const resolvedEntity = resolverResults.get(entityType);
-      if (resolvedEntity && resolvedEntity.id) {
-        if (entityType === 'team' && !enrichedArgs.teamId) {
-          enrichedArgs.teamId = resolvedEntity.id.toString();
-        } else if (entityType === 'player' && !enrichedArgs.playerId) {
-          enrichedArgs.playerId = resolvedEntity.id.toString();
-        }
+      const idArg = ENTITY_ID_ARGS[entityType];
+      if (resolvedEntity && resolvedEntity.id && !enrichedArgs[idArg]) {
+        enrichedArgs[idArg] = resolvedEntity.id.toString();
       }
     }
-    return enrichedArgs;
+    return this.applyEntitySport(toolCall.name, enrichedArgs, Object.fromEntries(resolverResults));
   }
 
   /**
-   * Execute a single tool
+   * Add the sport of a resolved entity ({ team, player }) whose ID the arguments carry;
+   * IDs alone do not say which service they belong to. An explicit sport is kept.
+   */
+  applyEntitySport(toolName, args, entities = {}) {
+    if (args.sport) return args;
+
+    for (const entityType of TOOL_ENTITY_MAP[toolName] || []) {
+      const entity = entities[entityType];
+      const id = args[ENTITY_ID_ARGS[entityType]];
+      if (entity && entity.sport && id !== undefined && String(id) === String(entity.id)) {
+        return { ...args, sport: entity.sport };
+      }
+    }
+    return args;
+  }
+
+  /**
+   * Arguments with the sport made explicit, so routing, cache keys and game state agree
+   * on it; falls back to detection from the arguments when no sport is given
+   */
+  _withSport(args = {}) {
+    return args.sport ? args : { ...args, sport: this.contextAnalyzer.detectSportFromContext(args) };
+  }
+
+  /**
+   * Tag a resolver result with the sport it was resolved in
    */
-  async _executeSingleTool(toolName, args) {
+  _tagEntity(data, sport) {
+    if (!data || typeof data !== 'object' || !data.id || data.sport) return data;
+    return { ...data, sport };
+  }
+
+  /**
+   * Execute a single tool through the cache
+   * Returns { data, meta } where meta.source is hot, cold, stale or live. Stale entries are
+   * served immediately and refreshed in the background; while the service's circuit is open,
+   * a stored copy within the tool's outage staleness is served (meta.circuit). A remembered deterministic failure is thrown
+   * again without calling upstream (error.cached).
+   */
+  async executeTool(toolName, args, options = {}) {
+    args = this._withSport(args);
     const cached = await this.cacheManager.get(toolName, args);
-    if (cached) {
-      return cached.data;
+    if (cached?.source === 'negative') {
+      throw restoreError({ ...cached.error, retryable: false }, { cached: true });
+    }
+
+    if (cached?.source === 'stale') {
+      this._revalidate(toolName, args);
     }
-    // Use mcpCoordinator to call the tool
-    const result = await this.mcpCoordinator.callTool(toolName, args);
+    const result = cached
+      ? { data: cached.data, meta: { source: cached.source, age: cached.age } }
+      : await this._fetchAndCache(toolName, args, options).catch(error => this._serveStored(toolName, args, error));
+    // Shared with other waiters of the same fetch, so tag a copy
+    return RESOLVER_ENTITY_TYPES[toolName]
+      ? { ...result, data: this._tagEntity(result.data, args.sport) }
+      : result;
+  }
+
+  /**
+   * Fall back to a stored copy within the tool's outage staleness when the service's circuit
+   * is open; other errors, and open circuits with nothing recent enough, are rethrown
+   */
+  async _serveStored(toolName, args, error) {
+    const stored = error.code === 'circuit_open' ? await this.cacheManager.getStale(toolName, args) : null;
+    if (!stored) throw error;
+    return { data: stored.data, meta: { source: 'stale', age: stored.age, circuit: 'open' } };
+  }
+
+  /**
+   * Execute a single tool
+   */
+  async _executeSingleTool(toolName, args, options = {}) {
+    const { data } = await this.executeTool(toolName, args, options);
+    return data;
+  }
+
+  /**
+   * Fetch a cache miss, sharing one upstream call between concurrent identical requests:
+   * within this isolate through SingleFlight and across isolates through the
+   * RequestCoalescer Durable Object (one instance per cache key)
+   */
+  async _fetchAndCache(toolName, args, options = {}) {
+    const { signal, ...fetchOptions } = options;
+    const key = await this.cacheManager._generateKey(toolName, args);
+    return inflightFetches.run(key, (sharedSignal) => (
+      this.env.REQUEST_COALESCER
+        ? this._fetchViaCoalescer(key, toolName, args, sharedSignal)
+        : this._fetchFromSource(toolName, args, { ...fetchOptions, signal: sharedSignal })
+    ), signal);
+  }
 
-    // callTool in mcpCoordinator now returns the direct data or throws an error.
-    // It no longer returns { content: [{ type: "text", text: JSON.stringify(...) }] }
-    // So, we can directly use 'result' here.
+  /**
+   * Ask the key's RequestCoalescer to fetch (or join its fetch); falls back to a direct
+   * call when the Durable Object itself is unreachable
+   */
+  async _fetchViaCoalescer(key, toolName, args, signal) {
+    let response;
+    try {
+      const stub = this.env.REQUEST_COALESCER.get(this.env.REQUEST_COALESCER.idFromName(key));
+      response = await stub.fetch('https://request-coalescer/fetch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tool: toolName, args }),
+        signal
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('Request coalescer unavailable, fetching directly:', error);
+      return this._fetchFromSource(toolName, args, { signal });
+    }
 
-    const ttl = this.cacheManager.getSmartTTL(toolName, args);
-    await this.cacheManager.set(toolName, args, result, ttl); // Pass ttl to cacheManager.set
+    const result = await response.json();
+    if (!response.ok) {
+      throw restoreError({
+        message: result.error || `Request coalescer error: ${response.status}`,
+        code: result.code || 'upstream_error',
+        status: result.status || 502,
+        retryable: result.retryable ?? true
+      });
+    }
     return result;
   }
 
+  /**
+   * Call the MCP service and cache the result with its per-tool TTL
+   * options.ttlFor(result, ttl) may replace that TTL (pre-warming keeps entries longer).
+   * Deterministic failures are negatively cached; transient ones are not cached at all
+   */
+  async _fetchFromSource(toolName, args, options = {}) {
+    const { ttlFor, ...callOptions } = options;
+    const startedAt = Date.now();
+    let result;
+    try {
+      result = await this.mcpCoordinator.callTool(toolName, args, callOptions);
+    } catch (error) {
+      if (error.retryable === false) {
+        await this.cacheManager.setNegative(toolName, args, error);
+      }
+      throw error;
+    }
+    this.cacheManager.recordUpstream(toolName, Date.now() - startedAt);
+    const smartTTL = await this.cacheManager.getSmartTTL(toolName, args, result);
+    const ttl = ttlFor ? ttlFor(result, smartTTL) : smartTTL;
+    await this.cacheManager.set(toolName, args, result, ttl); // Stored with the entry and enforced on read
+    return { data: result, meta: { source: 'live', ttl: ttl } };
+  }
+
+  /**
+   * Classification of a tool error for payloads: { code, retryable, cached? }
+   * Errors that were never classified (bugs, aborts) count as transient
+   */
+  describeError(error) {
+    const details = { code: error.code || 'internal_error', retryable: error.retryable ?? true };
+    if (error.cached) details.cached = true;
+    return details;
+  }
+
+  /**
+   * Refresh a stale entry after the response; deliberately not tied to the request's signal
+   */
+  _revalidate(toolName, args) {
+    const refresh = this._fetchAndCache(toolName, args)
+      .catch(error => console.error(`Cache refresh failed for ${toolName}:`, error));
+    if (this.ctx) {
+      this.ctx.waitUntil(refresh);
+    }
+  }
 
   /**
    * Format tool results for output
@@ -198,9 +435,9 @@ class ToolHandler {
     let output = "";
     for (const result of toolResults) {
       if (result.success) {
-        output += `${result.tool}: ${JSON.stringify(result.result, null, 2)}\\n\\n`;
+        output += `${result.tool}: ${JSON.stringify(result.result, null, 2)}\n\n`;
       } else {
-        output += `${result.tool} failed: ${result.error}\\n\\n`;
+        output += `${result.tool} failed: ${result.error}\n\n`;
       }
     }
     return output.trim();
@@ -228,7 +465,8 @@ class ToolHandler {
           parameters: {
             type: "object",
             properties: {
-              name: { type: "string", description: "Team name (e.g., 'Yankees', 'Red Sox')" }
+              name: { type: "string", description: "Team name (e.g., 'Yankees', 'Red Sox')" },
+              sport: { type: "string", description: "Sport to search (e.g., 'mlb', 'hockey')" }
             },
             required: ["name"]
           }
@@ -242,7 +480,8 @@ class ToolHandler {
           parameters: {
             type: "object",
             properties: {
-              name: { type: "string", description: "Player name (e.g., 'Aaron Judge', 'Ohtani')" }
+              name: { type: "string", description: "Player name (e.g., 'Aaron Judge', 'Ohtani')" },
+              sport: { type: "string", description: "Sport to search (e.g., 'mlb', 'hockey')" }
             },
             required: ["name"]
           }
@@ -257,7 +496,8 @@ class ToolHandler {
             type: "object",
             properties: {
               teamId: { type: "string", description: "MLB team ID" },
-              season: { type: "string", description: "Season year" }
+              season: { type: "string", description: "Season year" },
+              sport: SPORT_PARAMETER
             }
           }
         }
@@ -272,7 +512,8 @@ class ToolHandler {
             properties: {
               playerId: { type: "string", description: "MLB player ID" },
               season: { type: "string", description: "Season year" },
-              statType: { type: "string", description: "Type of stats (hitting, pitching)" }
+              statType: { type: "string", description: "Type of stats (hitting, pitching)" },
+              sport: SPORT_PARAMETER
             }
           }
         }
@@ -286,7 +527,8 @@ class ToolHandler {
             type: "object",
             properties: {
               teamId: { type: "string", description: "MLB team ID" },
-              season: { type: "string", description: "Season year" }
+              season: { type: "string", description: "Season year" },
+              sport: SPORT_PARAMETER
             }
           }
         }
@@ -300,7 +542,8 @@ class ToolHandler {
             type: "object",
             properties: {
               date: { type: "string", description: "Date (YYYY-MM-DD)" },
-              teamId: { type: "string", description: "Optional team ID filter" }
+              teamId: { type: "string", description: "Optional team ID filter" },
+              sport: SPORT_PARAMETER
             }
           }
         }
@@ -314,7 +557,8 @@ class ToolHandler {
             type: "object",
             properties: {
               season: { type: "string", description: "Season year" },
-              divisionId: { type: "string", description: "Optional division ID" }
+              divisionId: { type: "string", description: "Optional division ID" },
+              sport: SPORT_PARAMETER
             }
           }
         }
@@ -327,7 +571,8 @@ class ToolHandler {
           parameters: {
             type: "object",
             properties: {
-              gameId: { type: "string", description: "MLB game ID" }
+              gameId: { type: "string", description: "MLB game ID" },
+              sport: SPORT_PARAMETER
             }
           }
         }
@@ -0,0 +1,246 @@
+/**
+ * Circuit breakers for MCP service bindings: after too many failures in a window a service's
+ * circuit opens and calls to it fail fast; after a cool-down one probe call is let through
+ * (half-open) and its outcome closes or re-opens the circuit.
+ * State lives in the CircuitBreaker Durable Object (one instance per binding) so every
+ * isolate sees the same circuit; isolates keep a short-lived copy to avoid a round trip
+ * per call.
+ */
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half_open';
+
+const DEFAULTS = {
+  failureRate: 0.5, // CIRCUIT_FAILURE_RATE: share of failed calls in the window that opens the circuit
+  minCalls: 5,      // CIRCUIT_MIN_CALLS: calls needed in the window before the rate counts
+  windowMs: 60000,  // CIRCUIT_WINDOW (seconds)
+  openMs: 30000     // CIRCUIT_OPEN_TIME (seconds): cool-down before a probe call
+};
+
+// How long an isolate trusts its copy of a closed circuit
+const SNAPSHOT_TTL_MS = 5000;
+
+// Isolate-local copies of circuit state:
+// binding -> { state, retryAt, checkedAt, successes, successesSince }
+const snapshots = new Map();
+
+// Isolate-local circuit reads for health reports: binding -> { promise, readAt }
+const recentReads = new Map();
+
+/**
+ * Breaker settings from env, falling back to DEFAULTS for missing or invalid values
+ */
+function circuitConfig(env) {
+  const number = (value, fallback, scale = 1) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed * scale : fallback;
+  };
+  return {
+    failureRate: Math.min(number(env.CIRCUIT_FAILURE_RATE, DEFAULTS.failureRate), 1),
+    minCalls: number(env.CIRCUIT_MIN_CALLS, DEFAULTS.minCalls),
+    windowMs: number(env.CIRCUIT_WINDOW, DEFAULTS.windowMs, 1000),
+    openMs: number(env.CIRCUIT_OPEN_TIME, DEFAULTS.openMs, 1000)
+  };
+}
+
+function newCircuit(now) {
+  return { state: CIRCUIT_CLOSED, windowStart: now, successes: 0, failures: 0, openedAt: null, retryAt: null, probeAt: null };
+}
+
+/**
+ * Ask to make a call: { allowed, probe } and the circuit (updated in place).
+ * An open circuit past its cool-down turns half-open and grants one probe; a probe that
+ * never reports back is replaced after another cool-down.
+ */
+function acquireCall(circuit, config, now = Date.now()) {
+  if (circuit.state === CIRCUIT_OPEN && now >= circuit.retryAt) {
+    circuit.state = CIRCUIT_HALF_OPEN;
+    circuit.probeAt = null;
+  }
+  if (circuit.state === CIRCUIT_HALF_OPEN) {
+    if (circuit.probeAt !== null && now - circuit.probeAt < config.openMs) {
+      return { allowed: false, probe: false };
+    }
+    circuit.probeAt = now;
+    return { allowed: true, probe: true };
+  }
+  return { allowed: circuit.state === CIRCUIT_CLOSED, probe: false };
+}
+
+/**
+ * Apply reported call outcomes ({ successes, failures, probe }) to the circuit (in place)
+ */
+function recordCalls(circuit, { successes = 0, failures = 0, probe = false }, config, now = Date.now()) {
+  if (circuit.state === CIRCUIT_HALF_OPEN) {
+    // Only the probe decides; other reports are from calls started before the circuit opened
+    if (!probe) return circuit;
+    if (failures > 0) {
+      openCircuit(circuit, config, now);
+    } else {
+      Object.assign(circuit, newCircuit(now));
+    }
+    return circuit;
+  }
+  if (circuit.state === CIRCUIT_OPEN) return circuit;
+
+  if (now - circuit.windowStart >= config.windowMs) {
+    Object.assign(circuit, newCircuit(now));
+  }
+  circuit.successes += successes;
+  circuit.failures += failures;
+  const calls = circuit.successes + circuit.failures;
+  if (calls >= config.minCalls && circuit.failures / calls >= config.failureRate) {
+    openCircuit(circuit, config, now);
+  }
+  return circuit;
+}
+
+function openCircuit(circuit, config, now) {
+  Object.assign(circuit, newCircuit(now), {
+    state: CIRCUIT_OPEN,
+    openedAt: now,
+    retryAt: now + config.openMs
+  });
+}
+
+/**
+ * Public view of a circuit for health reports
+ */
+function describeCircuit(circuit) {
+  const time = (value) => (value ? new Date(value).toISOString() : null);
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    successes: circuit.successes,
+    openedAt: time(circuit.openedAt),
+    retryAt: time(circuit.retryAt)
+  };
+}
+
+/**
+ * Client side of the breakers, used by MCPCoordinator around each service call.
+ * Without a CIRCUIT_BREAKER binding every call is allowed. Successes on a closed circuit
+ * are counted locally and reported with the next failure, so healthy traffic costs no
+ * Durable Object call beyond a periodic state check. Only successes from the last
+ * CIRCUIT_WINDOW are reported; older ones would dilute the failure rate of the window.
+ */
+class CircuitBreakers {
+  constructor(env) {
+    this.env = env;
+    this.config = circuitConfig(env);
+  }
+
+  /**
+   * Whether a call to the binding may go ahead: { allowed, probe, state, retryAt }
+   * Breaker errors allow the call; a broken breaker must not take a healthy service down.
+   */
+  async allow(binding, now = Date.now()) {
+    if (!this.env.CIRCUIT_BREAKER) return { allowed: true, probe: false, state: CIRCUIT_CLOSED };
+
+    const snapshot = snapshots.get(binding);
+    if (snapshot?.state === CIRCUIT_CLOSED && now - snapshot.checkedAt < SNAPSHOT_TTL_MS) {
+      return { allowed: true, probe: false, state: CIRCUIT_CLOSED };
+    }
+    if (snapshot?.state === CIRCUIT_OPEN && now < snapshot.retryAt) {
+      return { allowed: false, probe: false, state: CIRCUIT_OPEN, retryAt: snapshot.retryAt };
+    }
+
+    try {
+      const result = await this._send(binding, '/acquire', {});
+      this._remember(binding, result, now);
+      return result;
+    } catch (error) {
+      console.error(`Circuit breaker unavailable for ${binding}:`, error);
+      return { allowed: true, probe: false, state: CIRCUIT_CLOSED };
+    }
+  }
+
+  /**
+   * Report a call's outcome; ok is false for failures that say the service is unhealthy.
+   * probe comes from allow() and marks the half-open trial call.
+   */
+  async record(binding, ok, { probe = false } = {}, now = Date.now()) {
+    if (!this.env.CIRCUIT_BREAKER) return;
+
+    const snapshot = snapshots.get(binding);
+    if (snapshot && now - snapshot.successesSince >= this.config.windowMs) {
+      snapshot.successes = 0;
+      snapshot.successesSince = now;
+    }
+    if (ok && !probe && snapshot?.state !== CIRCUIT_HALF_OPEN) {
+      if (snapshot) snapshot.successes += 1;
+      return;
+    }
+
+    const successes = (snapshot?.successes || 0) + (ok ? 1 : 0);
+    if (snapshot) {
+      snapshot.successes = 0;
+      snapshot.successesSince = now;
+    }
+    try {
+      const result = await this._send(binding, '/record', { successes, failures: ok ? 0 : 1, probe });
+      this._remember(binding, result, now);
+    } catch (error) {
+      console.error(`Circuit breaker unavailable for ${binding}:`, error);
+    }
+  }
+
+  /**
+   * Current circuit for health reports, or null without the binding
+   * With maxAge (seconds), a read this isolate made that recently is reused
+   */
+  async read(binding, { maxAge = 0 } = {}) {
+    if (!this.env.CIRCUIT_BREAKER) return null;
+
+    const recent = recentReads.get(binding);
+    if (maxAge > 0 && recent && Date.now() - recent.readAt < maxAge * 1000) {
+      return recent.promise;
+    }
+    const promise = this._readState(binding);
+    recentReads.set(binding, { promise, readAt: Date.now() });
+    promise.catch(() => {
+      if (recentReads.get(binding)?.promise === promise) recentReads.delete(binding); // Failed reads are not reused
+    });
+    return promise;
+  }
+
+  async _readState(binding) {
+    const stub = this.env.CIRCUIT_BREAKER.get(this.env.CIRCUIT_BREAKER.idFromName(binding));
+    const response = await stub.fetch('https://circuit-breaker/state');
+    if (!response.ok) {
+      throw new Error(`Circuit breaker unavailable: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  async _send(binding, path, body) {
+    const stub = this.env.CIRCUIT_BREAKER.get(this.env.CIRCUIT_BREAKER.idFromName(binding));
+    const response = await stub.fetch(`https://circuit-breaker${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  _remember(binding, { state, retryAt }, now) {
+    const { successes = 0, successesSince = now } = snapshots.get(binding) || {};
+    snapshots.set(binding, { state, retryAt, checkedAt: now, successes, successesSince });
+  }
+}
+
+module.exports = {
+  CIRCUIT_CLOSED,
+  CIRCUIT_OPEN,
+  CIRCUIT_HALF_OPEN,
+  circuitConfig,
+  newCircuit,
+  acquireCall,
+  recordCalls,
+  describeCircuit,
+  CircuitBreakers
+};
@@ -1,148 +1,453 @@
-const { transformMLBTeam, transformMLBPlayer, transformMLBGame } = require('../schemas/sports');
+const { SportRegistry } = require('./sportRegistry');
+const { CircuitBreakers } = require('./circuitBreaker');
 const { ContextAnalyzer } = require('../intelligence/contextAnalyzer'); // For sport detection from context
 
+// MCP HTTP statuses that fail the same way on every retry, by error code
+const DETERMINISTIC_STATUSES = {
+  400: 'invalid_request',
+  404: 'not_found',
+  410: 'not_found',
+  422: 'invalid_request'
+};
+
+// Per-call timeouts (ms) for tools that need a different one than MCP_TIMEOUT
+const DEFAULT_TOOL_TIMEOUTS = {
+  'resolve_team': 5000,
+  'resolve_player': 5000,
+  'get_live_game': 5000,
+  'get_player_stats': 10000
+};
+const DEFAULT_TIMEOUT = 8; // seconds
+
+// Read-only tools, safe to send again after a failure; tools added through the registry are tried once
+const IDEMPOTENT_TOOLS = new Set([
+  'resolve_team', 'resolve_player', 'get_team_info', 'get_player_stats',
+  'get_team_roster', 'get_schedule', 'get_standings', 'get_live_game'
+]);
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 200;
+const RETRY_MAX_DELAY_MS = 2000;
+const DEFAULT_RETRY_BUDGET = 12; // seconds
+
+/**
+ * An MCP failure with its classification: code, the status to report and whether a retry
+ * can succeed. Deterministic failures (unknown entity, bad arguments) are not retryable and
+ * may be negatively cached; transient ones (5xx, timeouts, rate limits) are.
+ */
+function mcpError(message, { code, status, retryable, upstreamStatus }) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.retryable = retryable;
+  if (upstreamStatus) error.upstreamStatus = upstreamStatus; // The MCP service's own HTTP status
+  return error;
+}
+
+/**
+ * Whether sending the same request again may succeed: timeouts, network errors and 5xx
+ * responses. Rate limits are left to the caller; an immediate retry only adds load.
+ */
+function isTransient(error) {
+  if (error.code === 'timeout') return true;
+  return error.code === 'upstream_error' && (!error.upstreamStatus || error.upstreamStatus >= 500);
+}
+
+/**
+ * Classify a non-OK MCP response status
+ */
+function classifyStatus(status) {
+  if (DETERMINISTIC_STATUSES[status]) {
+    return { code: DETERMINISTIC_STATUSES[status], status, retryable: false };
+  }
+  if (status === 429) {
+    return { code: 'rate_limited', status: 503, retryable: true };
+  }
+  if (status === 408 || status === 504) {
+    return { code: 'timeout', status: 504, retryable: true };
+  }
+  // 5xx, and auth/config problems that a fix on our side (not a cache expiry) resolves
+  return { code: 'upstream_error', status: 502, retryable: true };
+}
+
+// Structured error codes in a 200 { error } body that fail the same way on every retry
+const DETERMINISTIC_ERROR_CODES = {
+  not_found: 'not_found',
+  invalid_request: 'invalid_request',
+  invalid_argument: 'invalid_request',
+  invalid_arguments: 'invalid_request',
+  bad_request: 'invalid_request'
+};
+
+// Wording that says the requested entity does not exist
+const NOT_FOUND_MESSAGE = /\b(?:not found|does not exist|no (?:such|matching) (?:team|player|game|athlete|league|season)s?)\b/i;
+
+/**
+ * Classify an { error } body returned with a 200: by its structured code or status when it
+ * has one, else only explicit not-found wording is deterministic. Anything else may pass on
+ * a retry, so it stays retryable and is never negatively cached.
+ */
+function classifyErrorBody(error, message) {
+  if (error && typeof error === 'object') {
+    const status = Number(error.status ?? error.code);
+    if (Number.isInteger(status) && status >= 400) {
+      return classifyStatus(status);
+    }
+    const code = DETERMINISTIC_ERROR_CODES[String(error.code ?? '').toLowerCase()];
+    if (code) {
+      return { code, status: code === 'not_found' ? 404 : 400, retryable: false };
+    }
+  }
+  if (NOT_FOUND_MESSAGE.test(message)) {
+    return { code: 'not_found', status: 404, retryable: false };
+  }
+  return { code: 'upstream_error', status: 502, retryable: true };
+}
+
+/**
+ * Caps how many calls run at once; extra calls queue in arrival order.
+ * A queued call whose signal aborts leaves the queue without taking a slot.
+ */
+class ConcurrencyLimiter {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  async run(fn, signal) {
+    signal?.throwIfAborted();
+    if (this.active >= this.limit) {
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          this.queue.splice(this.queue.indexOf(start), 1);
+          reject(signal.reason);
+        };
+        const start = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        this.queue.push(start);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    } else {
+      this.active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = this.queue.shift();
+      if (next) {
+        next(); // Hand the slot straight to the next waiter
+      } else {
+        this.active--;
+      }
+    }
+  }
+}
+
+// Limiters by binding, shared by every coordinator in the isolate so the cap holds
+// across concurrent requests
+const limiters = new Map();
+
 /**
  * Manages communication with MCP (Microservice Proxy) workers.
  */
 class MCPCoordinator {
   constructor(env) {
     this.env = env;
-    this.mcpServices = {
-      mlb: env.MLB_MCP,
-      hockey: env.HOCKEY_MCP,
-      espn: env.ESPN_MCP
-    };
+    this.registry = new SportRegistry(env); // Sport -> binding, tools, endpoints, normalizer
     this.contextAnalyzer = new ContextAnalyzer(env); // For _detectSportFromContext
+    this.maxConcurrency = parseInt(env.MCP_MAX_CONCURRENCY) || 4;
+    this.breakers = new CircuitBreakers(env);
+    this.defaultTimeoutMs = (parseFloat(env.MCP_TIMEOUT) || DEFAULT_TIMEOUT) * 1000;
+    this.toolTimeouts = this._parseToolTimeouts(env.MCP_TOOL_TIMEOUTS);
+    const retries = parseInt(env.MCP_MAX_RETRIES);
+    this.maxRetries = retries >= 0 ? retries : DEFAULT_MAX_RETRIES;
+    this.retryBaseMs = parseInt(env.MCP_RETRY_BASE_MS) || DEFAULT_RETRY_BASE_MS;
+    this.retryBudgetMs = (parseFloat(env.MCP_RETRY_BUDGET) || DEFAULT_RETRY_BUDGET) * 1000;
   }
 
   /**
-   * Route tool call to appropriate MCP server using Service Bindings
+   * Per-tool timeouts from MCP_TOOL_TIMEOUTS (JSON, seconds by tool) in ms; invalid entries are ignored
    */
-  async _routeAndExecuteTool(toolName, args) {
-    const sport = this.contextAnalyzer.detectSportFromContext(args); // Use contextAnalyzer instance
-    let mcpService;
-    let serviceName;
-
-    if (sport === 'hockey' && this.mcpServices.hockey) {
-      mcpService = this.mcpServices.hockey;
-      serviceName = 'Hockey MCP';
-    } else if (this.mcpServices.mlb) { // Default to MLB if hockey not specified or available
-      mcpService = this.mcpServices.mlb;
-      serviceName = 'MLB MCP';
-    } else {
-      throw new Error(`No suitable MCP service available for sport ${sport} or default MLB.`);
+  _parseToolTimeouts(config) {
+    const timeouts = {};
+    try {
+      for (const [tool, seconds] of Object.entries(config ? JSON.parse(config) : {})) {
+        if (typeof seconds === 'number' && seconds > 0) timeouts[tool] = seconds * 1000;
+      }
+    } catch (error) {
+      console.error('MCP timeout config error:', error);
     }
-    
-    if (!mcpService) {
-        throw new Error(`${serviceName || 'Requested MCP'} service not available or not configured.`);
-    }
-
-    const endpointMap = {
-      'resolve_team': 'team',
-      'resolve_player': 'player',
-      'get_team_info': 'team',
-      'get_player_stats': 'player',
-      'get_team_roster': 'roster',
-      'get_schedule': 'schedule',
-      'get_standings': 'standings',
-      'get_live_game': 'game'
+    return timeouts;
+  }
+
+  /**
+   * Timeout (ms) for one call of a tool: MCP_TOOL_TIMEOUTS, the tool's default, then MCP_TIMEOUT
+   */
+  _timeoutFor(toolName) {
+    return this.toolTimeouts[toolName] || DEFAULT_TOOL_TIMEOUTS[toolName] || this.defaultTimeoutMs;
+  }
+
+  /**
+   * Concurrency limiter for one service binding
+   * <BINDING>_MAX_CONCURRENCY (e.g. MLB_MCP_MAX_CONCURRENCY) overrides MCP_MAX_CONCURRENCY
+   */
+  _getLimiter(binding) {
+    if (!limiters.has(binding)) {
+      const override = parseInt(this.env[`${binding}_MAX_CONCURRENCY`]);
+      limiters.set(binding, new ConcurrencyLimiter(override > 0 ? override : this.maxConcurrency));
+    }
+    return limiters.get(binding);
+  }
+
+  /**
+   * Registration for the sport a tool call targets (args.sport, else detected from the
+   * arguments); throws a non-retryable error for sports, or tools, that are not registered
+   */
+  async resolveSport(toolName, args) {
+    const sport = args.sport || this.contextAnalyzer.detectSportFromContext(args);
+    const registration = await this.registry.get(sport);
+    if (!registration) {
+      const supported = (await this.registry.list()).map(entry => entry.sport).join(', ');
+      throw mcpError(`Sport not supported: ${sport}. Supported sports: ${supported || 'none'}`, {
+        code: 'unsupported_sport',
+        status: 400,
+        retryable: false
+      });
+    }
+    if (!registration.tools.includes(toolName)) {
+      throw mcpError(`Tool ${toolName} is not supported for ${registration.name}`, {
+        code: 'unsupported_tool',
+        status: 400,
+        retryable: false
+      });
+    }
+    return registration;
+  }
+
+  /**
+   * Sports whose MCP service is reachable (bound, or given a URL)
+   */
+  async getAvailableSports() {
+    return (await this.registry.list())
+      .filter(registration => this._serviceFor(registration))
+      .map(registration => registration.sport);
+  }
+
+  /**
+   * How to reach a sport's MCP server: its Service Binding, else plain HTTP to its URL
+   * (registration url or <BINDING>_URL); null when it has neither.
+   * Both are called as fetch('https://mcp-internal/<path>', init).
+   */
+  _serviceFor(registration) {
+    const binding = this.env[registration.binding];
+    if (binding) return binding;
+    if (!registration.url) return null;
+    return {
+      fetch: (input, init = {}) => {
+        // Append the request path to the base URL's path, keeping the base's query string
+        const { pathname } = new URL(input);
+        const target = new URL(registration.url);
+        if (pathname !== '/') {
+          target.pathname = target.pathname.replace(/\/+$/, '') + pathname;
+        }
+        return fetch(target.toString(), {
+          ...init,
+          headers: { ...init.headers, ...(registration.urlFromEnv && this._authHeaders(registration.binding)) }
+        });
+      }
     };
-    const endpoint = endpointMap[toolName];
-    if (!endpoint) {
-      throw new Error(`Unknown tool: ${toolName}`);
+  }
+
+  /**
+   * Auth for MCP servers reached over HTTP: <BINDING>_TOKEN as a bearer token, or as the raw
+   * value of the <BINDING>_AUTH_HEADER header (e.g. X-API-Key) when that is set.
+   * Only sent to URLs configured in env (registration.urlFromEnv).
+   */
+  _authHeaders(binding) {
+    const token = this.env[`${binding}_TOKEN`];
+    if (!token) return {};
+    const header = this.env[`${binding}_AUTH_HEADER`];
+    return header ? { [header]: token } : { 'Authorization': `Bearer ${token}` };
+  }
+
+  /**
+   * Route tool call to the sport's MCP server (Service Binding or HTTP, see _serviceFor)
+   * Failures are thrown with code, status and retryable (see mcpError). Outcomes feed the
+   * binding's circuit breaker; while it is open calls fail fast with circuit_open (503).
+   * Deterministic failures count as healthy responses, aborted calls not at all.
+   */
+  async _routeAndExecuteTool(registration, toolName, args, { signal } = {}) {
+    const mcpService = this._serviceFor(registration);
+    const serviceName = `${registration.name} MCP`;
+    if (!mcpService) {
+      throw mcpError(`${serviceName} service not configured (binding ${registration.binding} or ${registration.binding}_URL)`, {
+        code: 'service_unavailable',
+        status: 503,
+        retryable: true
+      });
     }
+    const endpoint = registration.endpoints[toolName];
+    const { sport, ...query } = args; // The service serves one sport; sport only picked it
 
-    const mcpRequestPayload = { endpoint: endpoint, query: args };
-    const request = new Request('https://mcp-internal/', { // URL is arbitrary for service bindings
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(mcpRequestPayload)
-    });
+    const mcpRequestPayload = { endpoint: endpoint, query: query };
 
-    const response = await mcpService.fetch(request);
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`MCP service error (${serviceName} - ${toolName}): ${response.status} - ${errorText}`);
+    const circuit = await this.breakers.allow(registration.binding);
+    if (!circuit.allowed) {
+      throw mcpError(`${serviceName} circuit open (${toolName}): service failing, not called`, {
+        code: 'circuit_open',
+        status: 503,
+        retryable: true
+      });
+    }
+
+    let result;
+    try {
+      result = await this._callService(registration, toolName, mcpRequestPayload, signal);
+    } catch (error) {
+      if (!signal?.aborted) {
+        await this.breakers.record(registration.binding, error.retryable === false, circuit);
+      }
+      throw error;
+    }
+    await this.breakers.record(registration.binding, true, circuit);
+    return result;
+  }
+
+  /**
+   * Send a request to an MCP service, retrying transient failures of idempotent tools up to
+   * MCP_MAX_RETRIES times with exponential backoff and full jitter. Each attempt has the
+   * tool's timeout and its own concurrency slot; a retry is only started if it can time out
+   * within MCP_RETRY_BUDGET of the first attempt. signal (the client's) cancels the attempt
+   * in flight and any pending retry. Throws classified errors.
+   */
+  async _callService(registration, toolName, payload, signal) {
+    const serviceName = `${registration.name} MCP`;
+    const attempts = IDEMPOTENT_TOOLS.has(toolName) ? this.maxRetries + 1 : 1;
+    const deadline = Date.now() + this.retryBudgetMs;
+
+    let result;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        result = await this._getLimiter(registration.binding).run(
+          () => this._fetchOnce(registration, toolName, payload, signal),
+          signal
+        );
+        break;
+      } catch (error) {
+        if (signal?.aborted || attempt >= attempts || !isTransient(error)) throw error;
+        const delay = this._backoffDelay(attempt);
+        if (Date.now() + delay + this._timeoutFor(toolName) > deadline) throw error;
+        console.error(`Retrying ${toolName} on ${serviceName} (attempt ${attempt + 1} of ${attempts}): ${error.message}`);
+        await this._backoff(delay, signal);
+      }
     }
-    const result = await response.json();
     if (result.error) {
-      throw new Error(`MCP service error (${serviceName} - ${toolName}): ${result.error}`);
+      const message = typeof result.error === 'string' ? result.error : (result.error.message || JSON.stringify(result.error));
+      throw mcpError(`MCP service error (${serviceName} - ${toolName}): ${message}`, classifyErrorBody(result.error, message));
     }
     return result; // This is the direct data from the MCP
   }
 
   /**
-   * Call a specific tool, routing to the appropriate MCP server and normalizing the result.
-   * This method now returns the normalized data directly or throws an error.
+   * One attempt: POST the payload to the service, aborted by the tool's timeout or the
+   * client's signal
    */
-  async callTool(toolName, args) {
-    const rawResult = await this._routeAndExecuteTool(toolName, args);
-    return this._normalizeResult(toolName, rawResult); // Normalize before returning
+  async _fetchOnce(registration, toolName, payload, signal) {
+    const serviceName = `${registration.name} MCP`;
+    const timeoutMs = this._timeoutFor(toolName);
+    const timeout = AbortSignal.timeout(timeoutMs);
+
+    let response;
+    try {
+      response = await this._serviceFor(registration).fetch('https://mcp-internal/', { // Host is arbitrary for service bindings
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: signal ? AbortSignal.any([timeout, signal]) : timeout
+      });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      const timedOut = timeout.aborted || error.name === 'TimeoutError';
+      throw mcpError(timedOut
+        ? `MCP service timed out after ${timeoutMs}ms (${serviceName} - ${toolName})`
+        : `MCP service unreachable (${serviceName} - ${toolName}): ${error.message}`, {
+        code: timedOut ? 'timeout' : 'upstream_error',
+        status: timedOut ? 504 : 502,
+        retryable: true
+      });
+    }
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw mcpError(`MCP service error (${serviceName} - ${toolName}): ${response.status} - ${errorText}`, {
+        ...classifyStatus(response.status),
+        upstreamStatus: response.status
+      });
+    }
+    return response.json();
   }
 
   /**
-   * Normalize results to common schema
+   * Delay before retry number attempt: random, up to MCP_RETRY_BASE_MS * 2^(attempt-1),
+   * capped at RETRY_MAX_DELAY_MS
    */
-  _normalizeResult(toolName, rawResult) {
-    // Normalization logic (copied from original orchestrator, ensure transforms are available)
-    switch (toolName) {
-      case 'get_team_info':
-        if (rawResult.teams) {
-          return { teams: rawResult.teams.map(transformMLBTeam) };
-        }
-        return rawResult;
-      case 'get_player_stats':
-        return rawResult; // No normalization defined yet
-      case 'get_team_roster':
-        if (rawResult.roster) {
-          return {
-            roster: rawResult.roster.map(player => ({
-              ...transformMLBPlayer(player.person),
-              position: player.position?.name,
-              status: player.status?.code
-            }))
-          };
-        }
-        return rawResult;
-      case 'get_schedule':
-        if (rawResult.dates) {
-          return {
-            games: rawResult.dates.flatMap(date =>
-              date.games?.map(transformMLBGame) || []
-            )
-          };
-        }
-        return rawResult;
-      case 'get_standings':
-        return rawResult; // No normalization defined yet
-      case 'get_live_game':
-        // Ensure rawResult is the game object itself if transformMLBGame expects that
-        return transformMLBGame(rawResult.game || rawResult); // Adjust based on actual MCP output for live_game
-      case 'resolve_team':
-      case 'resolve_player':
-        return rawResult; // Typically, resolver output is already in a usable format
-      default:
-        return rawResult;
-    }
+  _backoffDelay(attempt) {
+    return Math.random() * Math.min(RETRY_MAX_DELAY_MS, this.retryBaseMs * 2 ** (attempt - 1));
+  }
+
+  /**
+   * Wait delay ms before a retry; rejects as soon as signal aborts
+   */
+  _backoff(delay, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Call a specific tool, routing to the sport's MCP server and normalizing the result.
+   * This method now returns the normalized data directly or throws an error.
+   * options.signal aborts the underlying service call.
+   */
+  async callTool(toolName, args, options = {}) {
+    const registration = await this.resolveSport(toolName, args);
+    const rawResult = await this._routeAndExecuteTool(registration, toolName, args, options);
+    return registration.normalize(toolName, rawResult); // Normalize before returning
   }
   
   /**
-   * Health check for all MCP services
+   * Health check for all MCP services, with each binding's circuit breaker state
+   * (null without the CIRCUIT_BREAKER binding); circuitMaxAge (seconds) allows a recent read
    */
-  async healthCheck() {
+  async healthCheck({ circuitMaxAge = 0 } = {}) {
     const results = {};
-    for (const [name, service] of Object.entries(this.mcpServices)) {
+    for (const registration of await this.registry.list()) {
+      const { sport: name, binding } = registration;
+      const service = this._serviceFor(registration);
       if (!service) {
-        results[name] = { status: 'unavailable', error: 'Service binding not configured' };
+        results[name] = { status: 'unavailable', error: 'Service binding or URL not configured' };
         continue;
       }
       try {
-        const request = new Request('https://mcp-internal/health', { method: 'GET' });
         const startTime = Date.now();
-        const response = await service.fetch(request);
+        const response = await service.fetch('https://mcp-internal/health', {
+          method: 'GET',
+          signal: AbortSignal.timeout(this.defaultTimeoutMs)
+        });
         const responseTime = Date.now() - startTime;
         results[name] = {
           status: response.ok ? 'healthy' : 'unhealthy',
+          transport: this.env[binding] ? 'binding' : 'http',
           responseTime: responseTime,
           httpStatus: response.status
         };
@@ -152,6 +457,7 @@ class MCPCoordinator {
       } catch (error) {
         results[name] = { status: 'error', error: error.message };
       }
+      results[name].circuit = await this.breakers.read(binding, { maxAge: circuitMaxAge }).catch(error => ({ state: 'unknown', error: error.message }));
     }
     return results;
   }
@@ -7,56 +7,102 @@ const { CacheManager } = require('../cache/manager');
 const { OpenAIRequestProcessor } = require('../openai/requestProcessor');
 const { OpenAIResponseProcessor } = require('../openai/responseProcessor');
 const { OpenAIConversationManager } = require('../openai/conversationManager');
+const { ConversationStore } = require('../openai/conversationStore');
+const { ModelProvider } = require('../openai/modelProvider');
+const { ToolLoopGuard } = require('../openai/toolLoopGuard');
 const { ContextAnalyzer } = require('../intelligence/contextAnalyzer');
 const { ToolHandler } = require('../intelligence/toolHandler');
 const { MCPCoordinator } = require('./mcpCoordinator');
 
 class ResponsesAPIOrchestrator {
-  constructor(env) {
+  constructor(env, ctx) {
     this.env = env;
+    this.ctx = ctx; // ExecutionContext, used to keep background streaming alive
     this.cacheManager = new CacheManager(env);
     this.mcpCoordinator = new MCPCoordinator(env);
     this.openAIRequestProcessor = new OpenAIRequestProcessor(env);
     this.openAIResponseProcessor = new OpenAIResponseProcessor(env);
     this.openAIConversationManager = new OpenAIConversationManager(env);
+    this.conversationStore = new ConversationStore(env);
+    this.modelProvider = new ModelProvider(env);
+    this.maxModelTurns = parseInt(env.MODEL_MAX_TURNS) || 8;
+    this.maxToolCalls = parseInt(env.MAX_TOOL_CALLS) || 10;
+    this.responseBudgetMs = (parseInt(env.RESPONSE_TIMEOUT) || 30) * 1000;
     this.contextAnalyzer = new ContextAnalyzer(env);
     // ToolHandler depends on mcpCoordinator and cacheManager for executing and caching tools
-    this.toolHandler = new ToolHandler(env, this.mcpCoordinator, this.cacheManager);
+    this.toolHandler = new ToolHandler(env, this.mcpCoordinator, this.cacheManager, ctx);
   }
 
   /**
    * Process OpenAI Responses API request natively
+   * requestOptions: instructions, tool_choice, parallel_tool_calls, max_output_tokens,
+   * max_tool_calls, temperature, metadata and user (validated, then echoed in the response)
    */
-  async processResponsesAPIRequest({ model, input, tools, previous_response_id, instructions, stream, memories }) {
+  async processResponsesAPIRequest({ model, input, tools, previous_response_id, stream, memories, store = true, owner, signal, ...requestOptions }) {
+    const options = this.openAIRequestProcessor.validateResponseOptions(requestOptions, this._availableToolNames(tools));
+    const responseOptions = { ...options, store, tools: this.modelProvider.toResponsesTools(tools || []) };
     const responseId = this.openAIRequestProcessor._generateResponseId();
     const timestamp = Date.now() / 1000;
 
-    const processedInput = this.openAIConversationManager.processInputWithMemories(input, memories, previous_response_id);
+    // Rehydrate stored history when continuing a conversation
+    const conversation = previous_response_id
+      ? await this.conversationStore.loadConversation(previous_response_id, owner)
+      : null;
+    const knownEntities = conversation ? conversation.entities : {};
+
+    const turnInput = this.openAIConversationManager.processInputWithMemories(input, memories, previous_response_id);
+    const processedInput = this.openAIConversationManager.buildConversationInput(conversation, turnInput);
     
     // Use contextAnalyzer for sport detection if needed for tool filtering, though ToolHandler also has it
     // const { sport, confidence } = this.contextAnalyzer.detectSport(processedInput);
     // const filteredTools = this.toolHandler.buildFilteredTools(sport, confidence, tools); // Pass original tools if needed
 
-    // Tool extraction now considers the 'tools' parameter from the OpenAI request.
-    const toolCalls = this.toolHandler.extractToolCalls(processedInput, tools);
+    // Tool extraction looks at the current turn only; earlier turns contribute resolved entities.
+    // With an upstream model configured, the model picks tools instead.
+    const useModel = this.modelProvider.isEnabled();
+    const toolCalls = useModel ? [] : this.toolHandler.extractToolCalls(turnInput, this._restrictTools(tools, options.tool_choice), knownEntities);
+    if (!useModel && toolCalls.length === 0 && this._requiresToolCall(options.tool_choice)) {
+      throw this.openAIRequestProcessor._invalidParam('tool_choice', 'requires a tool call, but no tool matches the input');
+    }
+
+    const saveTurn = (response, entities) => {
+      if (!store) return null;
+      return this.conversationStore.save({
+        response,
+        input: turnInput,
+        entities: { ...knownEntities, ...entities },
+        previous_response_id: previous_response_id || null,
+        owner
+      });
+    };
+
+    const response = this.openAIResponseProcessor.buildResponse({
+      id: responseId,
+      createdAt: timestamp,
+      model,
+      status: 'in_progress',
+      previousResponseId: previous_response_id,
+      options: responseOptions
+    });
+    const generate = (output, generateSignal) => this._generate(output, {
+      useModel, toolCalls, knownEntities, model, processedInput, tools, options, streaming: !!stream, signal: generateSignal
+    });
+    const onComplete = (finalResponse, toolResults) => saveTurn(
+      finalResponse,
+      this.toolHandler.extractResolvedEntities(toolResults)
+    );
 
     if (stream) {
-      const { readable, writable } = new TransformStream();
-      const writer = writable.getWriter();
-      const encoder = new TextEncoder();
-
-      // Pass necessary methods to processStreamingRequest
-      this.openAIResponseProcessor.createStreamingResponse({
-        responseId,
-        writer,
-        encoder,
-        processRequestFn: async (writer, encoder, responseId) => {
+      // Returns immediately; processing continues in the background
+      const readable = this.openAIResponseProcessor.createStreamingResponse({
+        ctx: this.ctx,
+        signal,
+        processRequestFn: async (writer, encoder, streamSignal) => {
           await this.openAIResponseProcessor.processStreamingRequest(writer, encoder, {
-            responseId,
-            toolCalls,
-            executeToolFn: (toolName, args) => this.toolHandler._executeSingleTool(toolName, args),
-            formatToolResultFn: (toolName, result) => this.toolHandler.formatSingleToolResult(toolName, result),
-            generateContextualResponseFn: (inp) => this.contextAnalyzer.generateContextualResponse(inp)
+            signal: streamSignal,
+            response,
+            generateFn: (output) => generate(output, streamSignal),
+            onComplete
           });
         }
       });
@@ -65,51 +111,308 @@ class ResponsesAPIOrchestrator {
       });
     }
 
-    if (toolCalls.length === 0) {
+    return this.openAIResponseProcessor.processRequest({
+      response,
+      generateFn: (output) => generate(output, signal),
+      onComplete
+    });
+  }
+
+  /**
+   * Produce the output items through the encoder (which only emits events when streaming):
+   * upstream model output when a model is configured, otherwise heuristic tool calls or
+   * the contextual response
+   */
+  async _generate(stream, { useModel, toolCalls, knownEntities, model, processedInput, tools, options, streaming, signal }) {
+    const generateIdFn = (prefix) => this.openAIRequestProcessor._generateItemId(prefix);
+
+    if (useModel) {
+      const result = await this._runModelLoop({ model, processedInput, tools, options, knownEntities, stream, streaming, signal });
       return {
-        id: responseId,
-        created_at: timestamp,
-        model: model,
-        object: "response",
-        output: [{
-          id: this.openAIRequestProcessor._generateMessageId(),
-          content: [{
-            text: this.contextAnalyzer.generateContextualResponse(processedInput),
-            type: "output_text"
-          }],
-          role: "assistant",
-          type: "message"
-        }],
-        usage: {
-          input_tokens: this.openAIRequestProcessor._estimateTokens(JSON.stringify(processedInput)),
-          output_tokens: this.openAIRequestProcessor._estimateTokens(this.contextAnalyzer.generateContextualResponse(processedInput)),
-          total_tokens: this.openAIRequestProcessor._estimateTokens(JSON.stringify(processedInput)) + this.openAIRequestProcessor._estimateTokens(this.contextAnalyzer.generateContextualResponse(processedInput))
-        }
+        ...result,
+        usage: this.openAIResponseProcessor.buildUsage(result.usage.input_tokens, result.usage.output_tokens)
       };
     }
 
-    const toolResults = await this.toolHandler.processToolCalls(toolCalls);
+    const maxOutputChars = this._maxOutputChars(options);
+    let outputText;
+    let toolResults = [];
+    let truncated = false;
+    if (toolCalls.length > 0) {
+      ({ outputText, toolResults, truncated } = await this.openAIResponseProcessor.streamToolCalls(stream, {
+        generateIdFn,
+        maxOutputChars,
+        processToolCallsFn: (hooks) => this.toolHandler.processToolCalls(toolCalls, knownEntities, {
+          signal, parallel: options.parallel_tool_calls !== false, ...hooks
+        }),
+        formatToolResultFn: (toolName, result) => this.toolHandler.formatSingleToolResult(toolName, result)
+      }));
+    } else {
+      outputText = this.contextAnalyzer.generateContextualResponse(processedInput);
+      if (outputText.length > maxOutputChars) {
+        outputText = outputText.substring(0, maxOutputChars);
+        truncated = true;
+      }
+      await this.openAIResponseProcessor.streamText(stream, generateIdFn('msg'), outputText);
+    }
 
     return {
-      id: responseId,
-      created_at: timestamp,
-      model: model,
-      object: "response",
-      output: [{
-        id: this.openAIRequestProcessor._generateMessageId(),
-        content: [{
-          text: this.toolHandler.formatToolResults(toolResults),
-          type: "output_text"
-        }],
-        role: "assistant",
-        type: "message"
-      }],
-      usage: {
-        input_tokens: this.openAIRequestProcessor._estimateTokens(JSON.stringify(processedInput)),
-        output_tokens: this.openAIRequestProcessor._estimateTokens(this.toolHandler.formatToolResults(toolResults)),
-        total_tokens: this.openAIRequestProcessor._estimateTokens(JSON.stringify(processedInput)) + this.openAIRequestProcessor._estimateTokens(this.toolHandler.formatToolResults(toolResults))
+      toolResults,
+      usage: this._estimateUsage(processedInput, outputText),
+      status: truncated ? 'incomplete' : 'completed',
+      incompleteReason: truncated ? 'max_output_tokens' : undefined
+    };
+  }
+
+  /**
+   * Generate an answer with the upstream model, executing its function calls until it
+   * produces a final message. ToolLoopGuard caps tool calls, wall-clock time and repeats;
+   * when it trips, the model is asked once more to answer without tools. Results cut short
+   * are still completed (nothing was truncated); stopReason says which limit tripped.
+   * RESPONSE_TIMEOUT bounds the model calls and the tool calls alike.
+   * Output goes through the stream encoder; when streaming, upstream deltas and tool
+   * progress are forwarded as they happen.
+   */
+  async _runModelLoop({ model, processedInput, tools, options, knownEntities = {}, stream, streaming, signal }) {
+    const modelTools = this._selectModelTools(tools, options.tool_choice);
+    const items = [...processedInput];
+    const toolResults = [];
+    const usage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+    const guard = new ToolLoopGuard({
+      maxToolCalls: options.max_tool_calls ?? this.maxToolCalls,
+      budgetMs: this.responseBudgetMs
+    });
+
+    const generateIdFn = (prefix) => this.openAIRequestProcessor._generateItemId(prefix);
+    let callHandles = new Map(); // call_id -> mcp_call item handle
+
+    // The budget timeout, plus the client's signal so a disconnect stops upstream work
+    const budgetSignal = () => (signal
+      ? AbortSignal.any([AbortSignal.timeout(guard.remainingMs()), signal])
+      : AbortSignal.timeout(guard.remainingMs()));
+
+    const callModel = async (overrides = {}) => {
+      try {
+        const request = {
+          model,
+          input: items,
+          tools: modelTools,
+          instructions: options.instructions ?? undefined,
+          temperature: options.temperature ?? undefined,
+          max_output_tokens: options.max_output_tokens ?? undefined,
+          parallel_tool_calls: options.parallel_tool_calls ?? undefined,
+          signal: budgetSignal(),
+          ...overrides
+        };
+        let modelResponse;
+        if (streaming) {
+          ({ modelResponse, functionCalls: callHandles } = await this.openAIResponseProcessor.forwardModelStream(
+            stream, this.modelProvider.streamResponse(request), generateIdFn
+          ));
+        } else {
+          modelResponse = await this.modelProvider.createResponse(request);
+          callHandles = await this.openAIResponseProcessor.addModelOutput(stream, modelResponse, generateIdFn);
+        }
+        for (const field of Object.keys(usage)) {
+          usage[field] += modelResponse.usage?.[field] || 0;
+        }
+        return modelResponse;
+      } catch (error) {
+        if (error.name === 'TimeoutError' && !signal?.aborted) {
+          guard.isOverBudget();
+          // Close whatever the upstream stream left half-written before the fallback answer
+          await stream.finishOpenItems();
+          return null;
+        }
+        throw error;
       }
     };
+
+    for (let turn = 0; turn < this.maxModelTurns && !guard.shouldStop() && !guard.isOverBudget(); turn++) {
+      signal?.throwIfAborted();
+      const modelResponse = await callModel({ tool_choice: this._modelToolChoice(options.tool_choice, turn) });
+      if (!modelResponse) break;
+
+      const functionCalls = (modelResponse.output || []).filter(item => item.type === 'function_call');
+      if (functionCalls.length === 0) {
+        return this._modelResult(modelResponse, toolResults, usage);
+      }
+
+      // Echo the model's output back, followed by the result of each call.
+      // Guard checks run in call order; the allowed calls then execute in parallel
+      // unless parallel_tool_calls is off.
+      items.push(...modelResponse.output);
+      let queue = Promise.resolve();
+      const outputs = await Promise.all(functionCalls.map(async call => {
+        const handle = callHandles.get(call.call_id);
+        const { args, error } = this._parseFunctionArguments(call);
+        const check = error ? null : guard.registerCall(call.name, args);
+        const rejection = error || (check.allowed ? null : check.message);
+        if (rejection) {
+          if (handle) await stream.finishToolCall(handle, { error: rejection });
+          return { error: rejection };
+        }
+        const execute = async () => {
+          if (handle) await stream.startToolCall(handle);
+          // IDs from resolvers carry no sport of their own; route them with their entity's
+          const entities = { ...knownEntities, ...this.toolHandler.extractResolvedEntities(toolResults) };
+          const routedArgs = this.toolHandler.applyEntitySport(call.name, args, entities);
+          const toolResult = await this._executeFunctionCall(call.name, routedArgs, budgetSignal());
+          toolResults.push(toolResult);
+          if (handle) await stream.finishToolCall(handle, this.openAIResponseProcessor.toolCallOutcome(toolResult));
+          // code / retryable tell the model whether calling again can help
+          return toolResult.success
+            ? toolResult.result
+            : { error: toolResult.error, code: toolResult.code, retryable: toolResult.retryable };
+        };
+        return options.parallel_tool_calls !== false ? execute() : (queue = queue.then(execute, execute));
+      }));
+      functionCalls.forEach((call, index) => {
+        items.push({ type: 'function_call_output', call_id: call.call_id, output: JSON.stringify(outputs[index]) });
+      });
+    }
+
+    // Cut short: ask for a final answer from what has been gathered
+    if (!guard.isOverBudget()) {
+      const modelResponse = await callModel({ tool_choice: 'none' });
+      if (modelResponse && this.modelProvider.getOutputText(modelResponse)) {
+        return this._modelResult(modelResponse, toolResults, usage, guard.stopReason || 'max_turns');
+      }
+    }
+
+    await this.openAIResponseProcessor.streamText(stream, generateIdFn('msg'), this.toolHandler.formatToolResults(toolResults));
+
+    return { toolResults, usage, status: 'completed', stopReason: guard.stopReason || 'max_turns' };
+  }
+
+  /**
+   * Final result from an upstream response; an upstream incomplete (e.g. max_output_tokens) carries over
+   */
+  _modelResult(modelResponse, toolResults, usage, stopReason) {
+    const incomplete = modelResponse.status === 'incomplete';
+    return {
+      toolResults,
+      usage,
+      status: incomplete ? 'incomplete' : 'completed',
+      incompleteReason: incomplete ? modelResponse.incomplete_details?.reason : undefined,
+      stopReason
+    };
+  }
+
+  /**
+   * Upstream tool_choice for a turn: a forced choice applies to the first turn only,
+   * later turns pick freely (or not at all with 'none')
+   */
+  _modelToolChoice(toolChoice, turn) {
+    if (toolChoice === 'none') return 'none';
+    if (turn > 0) return 'auto';
+    if (toolChoice.type === 'allowed_tools') return toolChoice.mode; // tools are already restricted
+    return toolChoice;
+  }
+
+  /**
+   * Parse the JSON arguments of a model-issued function_call item
+   */
+  _parseFunctionArguments(call) {
+    try {
+      return { args: call.arguments ? JSON.parse(call.arguments) : {} };
+    } catch (error) {
+      return { error: `Invalid JSON arguments for ${call.name}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Execute a model-issued function call through ToolHandler (cache + MCP)
+   */
+  async _executeFunctionCall(name, args, signal) {
+    try {
+      const result = await this.toolHandler._executeSingleTool(name, args, { signal });
+      return { tool: name, result: result, success: true };
+    } catch (error) {
+      return { tool: name, error: error.message, success: false, ...this.toolHandler.describeError(error) };
+    }
+  }
+
+  /**
+   * Tool definitions sent upstream: listTools(), narrowed to the request's tools when given
+   */
+  _selectModelTools(requestTools, toolChoice) {
+    const definitions = this.toolHandler.listTools();
+    const requested = (requestTools || [])
+      .map(tool => tool.function?.name || tool.name)
+      .filter(Boolean);
+    const selected = requested.length > 0
+      ? definitions.filter(definition => requested.includes(definition.function.name))
+      : definitions;
+    const allowed = toolChoice?.type === 'allowed_tools' ? toolChoice.tools.map(tool => tool.name) : null;
+    return this.modelProvider.toResponsesTools(
+      allowed ? selected.filter(definition => allowed.includes(definition.function.name)) : selected
+    );
+  }
+
+  /**
+   * Names a request may reference in tool_choice: its own tools, or every tool when none are given
+   */
+  _availableToolNames(requestTools) {
+    const requested = (requestTools || [])
+      .map(tool => tool.function?.name || tool.name)
+      .filter(Boolean);
+    return requested.length > 0
+      ? requested
+      : this.toolHandler.listTools().map(definition => definition.function.name);
+  }
+
+  /**
+   * Whether tool_choice obliges the response to call a tool (required, a forced function,
+   * or allowed_tools in required mode)
+   */
+  _requiresToolCall(toolChoice) {
+    return toolChoice === 'required' || toolChoice.type === 'function' || toolChoice.mode === 'required';
+  }
+
+  /**
+   * Request tools the heuristic extractor may use under tool_choice
+   */
+  _restrictTools(requestTools, toolChoice) {
+    if (!requestTools || toolChoice === 'auto' || toolChoice === 'required') {
+      return requestTools;
+    }
+    const allowed = toolChoice === 'none' ? []
+      : toolChoice.type === 'allowed_tools' ? toolChoice.tools.map(tool => tool.name)
+      : [toolChoice.name];
+    return requestTools.filter(tool => allowed.includes(tool.function?.name || tool.name));
+  }
+
+  /**
+   * max_output_tokens as a character budget for non-model output (~4 characters per token)
+   */
+  _maxOutputChars(options) {
+    return options.max_output_tokens ? options.max_output_tokens * 4 : Infinity;
+  }
+
+  /**
+   * Estimated usage when no upstream model reported token counts
+   */
+  _estimateUsage(processedInput, outputText) {
+    return this.openAIResponseProcessor.buildUsage(
+      this.openAIRequestProcessor._estimateTokens(JSON.stringify(processedInput)),
+      this.openAIRequestProcessor._estimateTokens(outputText)
+    );
+  }
+
+  /**
+   * Get a stored response (GET /responses/{id})
+   */
+  async getStoredResponse(responseId, owner) {
+    const record = await this.conversationStore.get(responseId, owner);
+    return record ? record.response : null;
+  }
+
+  /**
+   * Delete a stored response (DELETE /responses/{id})
+   */
+  async deleteStoredResponse(responseId, owner) {
+    return this.conversationStore.delete(responseId, owner);
   }
 
   /**
@@ -126,25 +429,29 @@ class ResponsesAPIOrchestrator {
   /**
    * Call a specific tool (delegated to MCPCoordinator via ToolHandler)
    * This is for direct tool calls (e.g. legacy /mcp endpoint).
+   * options.signal (the client's request signal) cancels the MCP call on disconnect.
    */
-  async callTool(name, arguments_) {
+  async callTool(name, arguments_, options = {}) {
     try {
-      // _executeSingleTool handles caching and calling mcpCoordinator
-      const result = await this.toolHandler._executeSingleTool(name, arguments_);
+      // executeTool handles caching (including stale-while-revalidate) and calling mcpCoordinator
+      const { data, meta } = await this.toolHandler.executeTool(name, arguments_, { signal: options.signal });
       return {
         content: [{
           type: "text",
-          text: JSON.stringify(result, null, 2)
-        }]
+          text: JSON.stringify(data, null, 2)
+        }],
+        _meta: meta
       };
     } catch (error) {
       console.error(`Error calling tool ${name}:`, error);
+      const details = this.toolHandler.describeError(error);
       return {
         content: [{
           type: "text",
-          text: JSON.stringify({ error: error.message, tool: name, arguments: arguments_ }, null, 2)
+          text: JSON.stringify({ error: error.message, ...details, tool: name, arguments: arguments_ }, null, 2)
         }],
-        isError: true
+        isError: true,
+        _meta: { source: details.cached ? 'negative' : 'live', status: error.status || 500, ...details }
       };
     }
   }
@@ -152,8 +459,8 @@ class ResponsesAPIOrchestrator {
   /**
    * Health check for all MCP services (delegated to MCPCoordinator)
    */
-  async healthCheck() {
-    return this.mcpCoordinator.healthCheck();
+  async healthCheck(options) {
+    return this.mcpCoordinator.healthCheck(options);
   }
 }
 
@@ -0,0 +1,202 @@
+/**
+ * Sport registry: which MCP service binding serves each sport, the tools it supports,
+ * their MCP endpoints and how results are normalized.
+ * Built-in sports can be extended or overridden without a code change through the
+ * SPORT_REGISTRY env var (JSON) and a config:sports JSON key in SPORTS_CACHE (which wins):
+ *   { "nfl": { "binding": "NFL_MCP", "name": "NFL" }, "hockey": null }
+ * A null registration removes a sport.
+ * A sport whose binding is not bound is reached over HTTP when it has a URL: "url" in its
+ * registration or the <BINDING>_URL env var (e.g. MLB_MCP_URL). Only URLs set in env
+ * (<BINDING>_URL or SPORT_REGISTRY) are trusted with the binding's credentials.
+ */
+
+const { transformMLBTeam, transformMLBPlayer, transformMLBGame } = require('../schemas/sports');
+
+const REGISTRY_CONFIG_KEY = 'config:sports';
+
+// MCP endpoint per tool, shared by every sport unless a registration overrides it
+const DEFAULT_ENDPOINTS = {
+  'resolve_team': 'team',
+  'resolve_player': 'player',
+  'get_team_info': 'team',
+  'get_player_stats': 'player',
+  'get_team_roster': 'roster',
+  'get_schedule': 'schedule',
+  'get_standings': 'standings',
+  'get_live_game': 'game'
+};
+
+/**
+ * Result normalizers by name; a registration picks one with "normalizer"
+ */
+const NORMALIZERS = {
+  // MLB Stats API shapes to the common schemas
+  mlb(toolName, rawResult) {
+    switch (toolName) {
+      case 'get_team_info':
+        if (rawResult.teams) {
+          return { teams: rawResult.teams.map(transformMLBTeam) };
+        }
+        return rawResult;
+      case 'get_player_stats':
+        return rawResult; // No normalization defined yet
+      case 'get_team_roster':
+        if (rawResult.roster) {
+          return {
+            roster: rawResult.roster.map(player => ({
+              ...transformMLBPlayer(player.person),
+              position: player.position?.name,
+              status: player.status?.code
+            }))
+          };
+        }
+        return rawResult;
+      case 'get_schedule':
+        if (rawResult.dates) {
+          return {
+            games: rawResult.dates.flatMap(date =>
+              date.games?.map(transformMLBGame) || []
+            )
+          };
+        }
+        return rawResult;
+      case 'get_standings':
+        return rawResult; // No normalization defined yet
+      case 'get_live_game':
+        // Ensure rawResult is the game object itself if transformMLBGame expects that
+        return transformMLBGame(rawResult.game || rawResult); // Adjust based on actual MCP output for live_game
+      case 'resolve_team':
+      case 'resolve_player':
+        return rawResult; // Typically, resolver output is already in a usable format
+      default:
+        return rawResult;
+    }
+  },
+
+  // Services that already return the common schemas
+  passthrough(toolName, rawResult) {
+    return rawResult;
+  }
+};
+
+const BUILT_IN_SPORTS = {
+  mlb: { name: 'MLB', binding: 'MLB_MCP', normalizer: 'mlb' },
+  hockey: { name: 'Hockey', binding: 'HOCKEY_MCP', normalizer: 'mlb' },
+  espn: { name: 'ESPN', binding: 'ESPN_MCP', normalizer: 'passthrough' } // Unavailable until ESPN_MCP is bound
+};
+
+class SportRegistry {
+  constructor(env) {
+    this.env = env;
+    this.kv = env.SPORTS_CACHE;
+    this.sports = null; // Loaded lazily by _load
+  }
+
+  /**
+   * Registration for a sport ({ sport, name, binding, url, urlFromEnv, tools, endpoints,
+   * normalize }), or null when the sport is not registered
+   */
+  async get(sport) {
+    const sports = await this._load();
+    return sports[sport] || null;
+  }
+
+  /**
+   * All registrations
+   */
+  async list() {
+    return Object.values(await this._load());
+  }
+
+  async _load() {
+    if (this.sports) return this.sports;
+
+    let registrations = { ...BUILT_IN_SPORTS };
+    let envRegistrations = registrations;
+    try {
+      if (this.env.SPORT_REGISTRY) {
+        registrations = this._merge(registrations, JSON.parse(this.env.SPORT_REGISTRY));
+        envRegistrations = registrations;
+      }
+      // cacheTtl lets the edge reuse the config for a minute instead of reading KV on every call
+      const stored = await this.kv?.get(REGISTRY_CONFIG_KEY, { type: 'json', cacheTtl: 60 });
+      if (stored) {
+        registrations = this._merge(registrations, stored);
+      }
+    } catch (error) {
+      console.error('Sport registry config error:', error);
+    }
+
+    this.sports = {};
+    for (const [sport, registration] of Object.entries(registrations)) {
+      const entry = this._build(sport, registration, envRegistrations[sport]);
+      if (entry) this.sports[sport] = entry;
+    }
+    return this.sports;
+  }
+
+  /**
+   * Layer a config object over registrations; fields merge per sport, null removes it
+   */
+  _merge(registrations, config) {
+    const merged = { ...registrations };
+    for (const [sport, registration] of Object.entries(config || {})) {
+      if (registration === null || registration === false) {
+        delete merged[sport];
+      } else if (typeof registration === 'object') {
+        merged[sport] = { ...merged[sport], ...registration };
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Fill in defaults; registrations without a binding or with an unknown normalizer are skipped
+   * The binding names the service even when it is reached over HTTP (its env vars, limits
+   * and circuit breaker are keyed by it)
+   * urlFromEnv is false when the URL comes from the KV config, which must not be able to
+   * send <BINDING>_TOKEN somewhere new
+   */
+  _build(sport, registration, envRegistration) {
+    const normalizer = registration.normalizer || 'passthrough';
+    if (typeof registration.binding !== 'string' || !NORMALIZERS[normalizer]) {
+      console.error(`Sport registry: ignoring invalid registration for ${sport}`);
+      return null;
+    }
+
+    const endpoints = { ...DEFAULT_ENDPOINTS, ...registration.endpoints };
+    const tools = Array.isArray(registration.tools) ? registration.tools : Object.keys(DEFAULT_ENDPOINTS);
+    const bindingUrl = this.env[`${registration.binding}_URL`];
+    const url = registration.url || bindingUrl;
+    const envUrl = (envRegistration?.binding === registration.binding && envRegistration.url) || bindingUrl;
+    return {
+      sport,
+      name: registration.name || sport.toUpperCase(),
+      binding: registration.binding,
+      url: this._serviceUrl(sport, url),
+      urlFromEnv: url === envUrl,
+      tools: tools.filter(tool => endpoints[tool]),
+      endpoints,
+      normalize: NORMALIZERS[normalizer]
+    };
+  }
+
+  /**
+   * HTTP(S) base URL of a sport's MCP server, or null when none (or an invalid one) is set
+   */
+  _serviceUrl(sport, url) {
+    if (!url) return null;
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+        return parsed.toString().replace(/\/+$/, '');
+      }
+    } catch (error) {
+      // Reported below
+    }
+    console.error(`Sport registry: ignoring invalid URL for ${sport}`);
+    return null;
+  }
+}
+
+module.exports = { SportRegistry };
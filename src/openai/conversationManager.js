@@ -11,11 +11,8 @@ class OpenAIConversationManager {
    * Combines device-stored memories with current input
    */
   processInputWithMemories(input, memories, previous_response_id) {
-    if (previous_response_id) {
-      return input; // If continuing, OpenAI handles memory via previous_response_id
-    }
-
-    const memoryMessages = this._convertMemoriesToSystemMessages(memories);
+    // When continuing, memories were already injected into the first stored turn
+    const memoryMessages = previous_response_id ? [] : this._convertMemoriesToSystemMessages(memories);
 
     let inputArray = [];
     if (typeof input === 'string') {
@@ -29,6 +26,16 @@ class OpenAIConversationManager {
     return [...memoryMessages, ...inputArray];
   }
 
+  /**
+   * Prepend a rehydrated conversation (from ConversationStore) to the current turn
+   */
+  buildConversationInput(conversation, turnInput) {
+    if (!conversation) {
+      return turnInput;
+    }
+    return [...conversation.messages, ...turnInput];
+  }
+
   /**
    * Convert device memories to system messages
    */
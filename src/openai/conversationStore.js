@@ -0,0 +1,118 @@
+/**
+ * Persists Responses API turns so previous_response_id can resume a conversation.
+ * Each response is stored in KV (CONVERSATION_STATE) keyed by its response ID.
+ */
+class ConversationStore {
+  constructor(env) {
+    this.env = env;
+    this.kv = env.CONVERSATION_STATE;
+    this.ttl = parseInt(env.CONVERSATION_TTL) || 30 * 24 * 3600; // 30 days, like OpenAI
+    this.maxTokens = parseInt(env.MAX_CONVERSATION_TOKENS) || 8000;
+  }
+
+  _key(responseId) {
+    return `response:${responseId}`;
+  }
+
+  /**
+   * Save a completed turn
+   * record: { response, input, entities, previous_response_id, owner }
+   */
+  async save(record) {
+    if (!this.kv) return false;
+
+    try {
+      await this.kv.put(this._key(record.response.id), JSON.stringify({
+        ...record,
+        stored_at: Date.now()
+      }), { expirationTtl: this.ttl });
+      return true;
+    } catch (error) {
+      console.error('Conversation save error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get a stored turn, optionally restricted to its owner
+   */
+  async get(responseId, owner) {
+    if (!this.kv) return null;
+
+    const record = await this.kv.get(this._key(responseId), { type: 'json' });
+    if (!record || (owner && record.owner && record.owner !== owner)) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Delete a stored turn
+   */
+  async delete(responseId, owner) {
+    const record = await this.get(responseId, owner);
+    if (!record) return false;
+
+    await this.kv.delete(this._key(responseId));
+    return true;
+  }
+
+  /**
+   * Walk the previous_response_id chain and rebuild the conversation
+   * Returns { messages, entities } or throws if the starting response is unknown
+   */
+  async loadConversation(responseId, owner) {
+    const latest = await this.get(responseId, owner);
+    if (!latest) {
+      const error = new Error(`Previous response with id '${responseId}' not found.`);
+      error.status = 400;
+      throw error;
+    }
+
+    // Newest first; stop at the token budget or when the chain breaks
+    const turns = [];
+    let tokens = 0;
+    let record = latest;
+    while (record) {
+      const messages = this._turnToMessages(record);
+      tokens += this._estimateTokens(messages);
+      if (turns.length > 0 && tokens > this.maxTokens) break;
+      turns.push({ messages, entities: record.entities || {} });
+
+      record = record.previous_response_id
+        ? await this.get(record.previous_response_id, owner)
+        : null;
+    }
+
+    turns.reverse();
+    return {
+      messages: turns.flatMap(turn => turn.messages),
+      // Later turns win when the same entity type was resolved twice
+      entities: Object.assign({}, ...turns.map(turn => turn.entities))
+    };
+  }
+
+  /**
+   * Convert a stored turn into input messages (its input plus the assistant reply)
+   */
+  _turnToMessages(record) {
+    const assistantText = (record.response.output || [])
+      .filter(item => item.type === 'message')
+      .flatMap(item => item.content || [])
+      .filter(part => part.type === 'output_text')
+      .map(part => part.text)
+      .join('');
+
+    const messages = [...(record.input || [])];
+    if (assistantText) {
+      messages.push({ role: 'assistant', content: assistantText });
+    }
+    return messages;
+  }
+
+  _estimateTokens(messages) {
+    return Math.ceil(JSON.stringify(messages).length / 4); // Rough approximation
+  }
+}
+
+module.exports = { ConversationStore };
@@ -0,0 +1,153 @@
+/**
+ * Client for an upstream OpenAI-compatible model endpoint (Responses API).
+ * Enabled by setting MODEL_API_BASE_URL, e.g. https://api.openai.com/v1 or a local mock server.
+ */
+class ModelProvider {
+  constructor(env) {
+    this.env = env;
+    this.baseUrl = env.MODEL_API_BASE_URL ? env.MODEL_API_BASE_URL.replace(/\/+$/, '') : null;
+    this.apiKey = env.MODEL_API_KEY || env.OPENAI_API_KEY;
+    this.modelOverride = env.MODEL_NAME;
+  }
+
+  /**
+   * Whether an upstream model is configured
+   */
+  isEnabled() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Convert Chat-style tool definitions ({ type, function: {...} }) to Responses API format
+   */
+  toResponsesTools(toolDefinitions) {
+    return toolDefinitions.map(tool => {
+      if (tool.type === 'function' && tool.function) {
+        return {
+          type: 'function',
+          name: tool.function.name,
+          description: tool.function.description,
+          parameters: tool.function.parameters || { type: 'object', properties: {} }
+        };
+      }
+      return tool;
+    });
+  }
+
+  /**
+   * Create a (non-streaming) response upstream
+   */
+  async createResponse({ model, input, tools, signal, ...options }) {
+    const response = await fetch(`${this.baseUrl}/responses`, {
+      method: 'POST',
+      signal,
+      headers: this._headers(),
+      body: JSON.stringify({
+        model: this.modelOverride || model,
+        input,
+        tools: tools && tools.length > 0 ? tools : undefined,
+        store: false, // Conversation state lives in ConversationStore, not upstream
+        ...options
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Model provider error: ${response.status} - ${errorText}`);
+      error.status = 502;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Create a streaming response upstream; yields parsed Responses API events as they arrive
+   */
+  async *streamResponse({ model, input, tools, signal, ...options }) {
+    const response = await fetch(`${this.baseUrl}/responses`, {
+      method: 'POST',
+      signal,
+      headers: this._headers(),
+      body: JSON.stringify({
+        model: this.modelOverride || model,
+        input,
+        tools: tools && tools.length > 0 ? tools : undefined,
+        store: false,
+        stream: true,
+        ...options
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Model provider error: ${response.status} - ${errorText}`);
+      error.status = 502;
+      throw error;
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let finished = false;
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          finished = true;
+          break;
+        }
+        buffer += value.replace(/\r\n/g, '\n');
+
+        // SSE events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const event = this._parseSSEEvent(buffer.substring(0, boundary));
+          buffer = buffer.substring(boundary + 2);
+          if (event) yield event;
+        }
+      }
+    } finally {
+      // Stop the upstream body if the consumer bailed out early
+      if (!finished) {
+        await reader.cancel().catch(() => {});
+      }
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Parse the data lines of one SSE event block
+   */
+  _parseSSEEvent(block) {
+    const data = block
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.substring(5).trimStart())
+      .join('\n');
+
+    if (!data || data === '[DONE]') return null;
+    return JSON.parse(data);
+  }
+
+  /**
+   * Concatenated output_text of all message items in an upstream response
+   */
+  getOutputText(modelResponse) {
+    return (modelResponse.output || [])
+      .filter(item => item.type === 'message')
+      .flatMap(item => item.content || [])
+      .filter(part => part.type === 'output_text')
+      .map(part => part.text)
+      .join('');
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+}
+
+module.exports = { ModelProvider };
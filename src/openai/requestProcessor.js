@@ -20,6 +20,126 @@ class OpenAIRequestProcessor {
     return `msg_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
   }
 
+  /**
+   * Generate unique output item ID with the given prefix (msg, fc, call, ...)
+   */
+  _generateItemId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`;
+  }
+
+  /**
+   * Validate the generation options of a Responses API request
+   * availableTools: names of the tools the request may call
+   * Returns normalized options or throws an error with status 400
+   */
+  validateResponseOptions(body, availableTools) {
+    // null means "use the default", as with OpenAI; defaults are filled in where the
+    // response is built, so only client-supplied values reach the upstream model
+    const instructions = body.instructions ?? null;
+    const tool_choice = body.tool_choice ?? 'auto';
+    const parallel_tool_calls = body.parallel_tool_calls ?? null;
+    const max_output_tokens = body.max_output_tokens ?? null;
+    const max_tool_calls = body.max_tool_calls ?? null;
+    const temperature = body.temperature ?? null;
+    const metadata = body.metadata ?? {};
+    const user = body.user ?? null;
+
+    if (instructions !== null && typeof instructions !== 'string') {
+      throw this._invalidParam('instructions', 'must be a string');
+    }
+    if (parallel_tool_calls !== null && typeof parallel_tool_calls !== 'boolean') {
+      throw this._invalidParam('parallel_tool_calls', 'must be a boolean');
+    }
+    if (max_output_tokens !== null && (!Number.isInteger(max_output_tokens) || max_output_tokens < 16)) {
+      throw this._invalidParam('max_output_tokens', 'must be an integer >= 16');
+    }
+    if (max_tool_calls !== null && (!Number.isInteger(max_tool_calls) || max_tool_calls < 1)) {
+      throw this._invalidParam('max_tool_calls', 'must be a positive integer');
+    }
+    if (temperature !== null && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      throw this._invalidParam('temperature', 'must be a number between 0 and 2');
+    }
+    if (user !== null && typeof user !== 'string') {
+      throw this._invalidParam('user', 'must be a string');
+    }
+    this._validateMetadata(metadata);
+
+    return {
+      instructions,
+      tool_choice: this._normalizeToolChoice(tool_choice, availableTools),
+      parallel_tool_calls,
+      max_output_tokens,
+      max_tool_calls,
+      temperature,
+      metadata,
+      user
+    };
+  }
+
+  /**
+   * Normalize tool_choice to auto | none | required | { type: 'function', name }
+   * | { type: 'allowed_tools', mode, tools: [{ type: 'function', name }] }
+   */
+  _normalizeToolChoice(toolChoice, availableTools) {
+    if (['auto', 'none', 'required'].includes(toolChoice)) {
+      return toolChoice;
+    }
+
+    const checkTool = (name) => {
+      if (typeof name !== 'string' || !availableTools.includes(name)) {
+        throw this._invalidParam('tool_choice', `function '${name}' not found in 'tools'`);
+      }
+      return { type: 'function', name };
+    };
+
+    if (toolChoice && toolChoice.type === 'function') {
+      // Chat Completions style { type, function: { name } } is accepted too
+      return checkTool(toolChoice.name || toolChoice.function?.name);
+    }
+    if (toolChoice && toolChoice.type === 'allowed_tools') {
+      const mode = toolChoice.mode || 'auto';
+      if (!['auto', 'required'].includes(mode)) {
+        throw this._invalidParam('tool_choice.mode', "must be 'auto' or 'required'");
+      }
+      if (!Array.isArray(toolChoice.tools) || toolChoice.tools.length === 0) {
+        throw this._invalidParam('tool_choice.tools', 'must be a non-empty array');
+      }
+      return {
+        type: 'allowed_tools',
+        mode,
+        tools: toolChoice.tools.map(tool => checkTool(tool.name || tool.function?.name))
+      };
+    }
+    throw this._invalidParam('tool_choice', "must be 'auto', 'none', 'required', a function or allowed_tools");
+  }
+
+  /**
+   * Same limits as OpenAI: up to 16 string pairs, keys <= 64 and values <= 512 characters
+   */
+  _validateMetadata(metadata) {
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw this._invalidParam('metadata', 'must be an object');
+    }
+    const entries = Object.entries(metadata);
+    if (entries.length > 16) {
+      throw this._invalidParam('metadata', 'may have at most 16 keys');
+    }
+    for (const [key, value] of entries) {
+      if (key.length > 64) {
+        throw this._invalidParam('metadata', `key '${key}' is longer than 64 characters`);
+      }
+      if (typeof value !== 'string' || value.length > 512) {
+        throw this._invalidParam('metadata', `value for '${key}' must be a string of at most 512 characters`);
+      }
+    }
+  }
+
+  _invalidParam(param, message) {
+    const error = new Error(`Invalid '${param}': ${message}.`);
+    error.status = 400;
+    return error;
+  }
+
   /**
    * Estimate token count (simple approximation)
    */
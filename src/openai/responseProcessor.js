@@ -1,3 +1,5 @@
+const { ResponseStreamEncoder } = require('./streamEncoder');
+
 /**
  * Processes responses from the OpenAI API and formats them for the client, including streaming.
  */
@@ -6,82 +8,320 @@ class OpenAIResponseProcessor {
     this.env = env;
   }
 
+  /**
+   * Build a complete Responses API response object
+   * options echoes the request's generation options (instructions, tool_choice, tools, ...)
+   * stopReason (which proxy limit cut the response short) is added to metadata
+   */
+  buildResponse({ id, createdAt, model, status = 'completed', output = [], usage = null, previousResponseId = null, incompleteReason, stopReason, error = null, options = {} }) {
+    return {
+      id: id,
+      object: "response",
+      created_at: createdAt,
+      status: status,
+      error: error,
+      incomplete_details: incompleteReason ? { reason: incompleteReason } : null,
+      instructions: options.instructions ?? null,
+      max_output_tokens: options.max_output_tokens ?? null,
+      max_tool_calls: options.max_tool_calls ?? null,
+      model: model,
+      output: output,
+      parallel_tool_calls: options.parallel_tool_calls ?? true,
+      previous_response_id: previousResponseId || null,
+      reasoning: { effort: null, summary: null },
+      store: options.store ?? true,
+      temperature: options.temperature ?? 1,
+      text: { format: { type: "text" } },
+      tool_choice: options.tool_choice ?? "auto",
+      tools: options.tools ?? [],
+      top_p: 1,
+      truncation: "disabled",
+      usage: usage,
+      user: options.user ?? null,
+      metadata: this.buildMetadata(options.metadata, stopReason)
+    };
+  }
+
+  /**
+   * Response metadata: the request's pairs plus stop_reason when a proxy limit tripped
+   */
+  buildMetadata(metadata, stopReason) {
+    return stopReason ? { ...metadata, stop_reason: stopReason } : (metadata ?? {});
+  }
+
+  /**
+   * Build a usage object
+   */
+  buildUsage(inputTokens, outputTokens) {
+    return {
+      input_tokens: inputTokens,
+      input_tokens_details: { cached_tokens: 0 },
+      output_tokens: outputTokens,
+      output_tokens_details: { reasoning_tokens: 0 },
+      total_tokens: inputTokens + outputTokens
+    };
+  }
+
   /**
    * Create streaming response for Responses API
+   * Returns the readable side immediately; processRequestFn(writer, encoder, signal) runs in
+   * the background (kept alive with ctx.waitUntil). The signal aborts when the client
+   * disconnects, either through the request signal or by cancelling the body.
+   */
+  createStreamingResponse({ ctx, signal, processRequestFn }) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    const controller = new AbortController();
+
+    writer.closed.catch(error => controller.abort(error || new Error('Client disconnected')));
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort(signal.reason);
+      } else {
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+      }
+    }
+
+    const processing = processRequestFn(writer, encoder, controller.signal)
+      .catch(error => console.error('Streaming error:', error));
+    if (ctx) {
+      ctx.waitUntil(processing);
+    }
+
+    return readable;
+  }
+
+  /**
+   * Process a non-streaming request: generateFn runs exactly as for a streamed one, against
+   * an encoder without a writer, so both modes produce the same output items
+   * Returns the final response object
    */
-  async createStreamingResponse({ responseId, writer, encoder, processRequestFn }) {
-    // Start processing in background
-    await processRequestFn(writer, encoder, responseId);
-    // The actual Response object with the readable stream is returned by the main orchestrator
+  async processRequest({ response, generateFn, onComplete }) {
+    const stream = new ResponseStreamEncoder(null, null, response);
+    const result = await generateFn(stream);
+
+    const finalResponse = await this._complete(stream, response, result);
+    if (onComplete) {
+      await onComplete(finalResponse, result.toolResults || []);
+    }
+    return finalResponse;
   }
 
   /**
    * Process streaming request with Responses API events
+   * generateFn(stream) emits the output items and resolves to
+   * { toolResults, usage, status?, incompleteReason?, stopReason? }
    */
-  async processStreamingRequest(writer, encoder, { responseId, toolCalls, executeToolFn, formatToolResultFn, generateContextualResponseFn }) {
+  async processStreamingRequest(writer, encoder, { response, generateFn, onComplete, signal }) {
+    const stream = new ResponseStreamEncoder(writer, encoder, response);
+
     try {
-      // Send response.created event
-      await writer.write(encoder.encode(`event: response.created\\ndata: ${JSON.stringify({
-        id: responseId,
-        object: "response",
-        created_at: Date.now() / 1000
-      })}\\n\\n`));
-
-      // Send response.in_progress event
-      await writer.write(encoder.encode(`event: response.in_progress\\ndata: {}\\n\\n`));
-
-      if (toolCalls.length > 0) {
-        for (const toolCall of toolCalls) {
-          await writer.write(encoder.encode(`event: tool_call\\ndata: ${JSON.stringify({
-            name: toolCall.name,
-            arguments: toolCall.arguments
-          })}\\n\\n`));
-
-          const result = await executeToolFn(toolCall.name, toolCall.arguments);
-
-          await writer.write(encoder.encode(`event: tool_result\\ndata: ${JSON.stringify({
-            tool: toolCall.name,
-            result: result
-          })}\\n\\n`));
-
-          const responseText = formatToolResultFn(toolCall.name, result);
-          const words = responseText.split(' ');
-
-          for (const word of words) {
-            await writer.write(encoder.encode(`event: response.output_text.delta\\ndata: ${JSON.stringify({
-              delta: word + ' '
-            })}\\n\\n`));
-            try {
-              await new Promise(resolve => setTimeout(resolve, 50));
-            } catch (error) {
-              console.error('Streaming delay error:', error);
+      await stream.start();
+
+      const result = await generateFn(stream);
+
+      const finalResponse = await this._complete(stream, response, result);
+      if (onComplete) {
+        await onComplete(finalResponse, result.toolResults || []);
+      }
+
+    } catch (error) {
+      if (signal?.aborted) {
+        // Nobody is listening any more; tear the stream down instead of reporting
+        await writer.abort(signal.reason).catch(() => {});
+        return;
+      }
+      await stream.fail(error);
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Finish the response with generateFn's result
+   */
+  _complete(stream, response, result) {
+    return stream.complete({
+      usage: result.usage,
+      status: result.status || 'completed',
+      incomplete_details: result.incompleteReason ? { reason: result.incompleteReason } : null,
+      metadata: this.buildMetadata(response.metadata, result.stopReason)
+    });
+  }
+
+  /**
+   * mcp_call outcome ({ output, error }) for a ToolHandler tool result
+   */
+  toolCallOutcome(toolResult) {
+    return toolResult.success
+      ? { output: JSON.stringify(toolResult.result) }
+      : { error: toolResult.error };
+  }
+
+  /**
+   * Stream heuristic tool calls: an mcp_call item per call as it starts, completed as its
+   * MCP call resolves, then a message item with its formatted result.
+   * processToolCallsFn(hooks) runs the calls (possibly in parallel) and reports through
+   * hooks.onToolStart / hooks.onToolResult; their events are written one call at a time.
+   * Text beyond maxOutputChars is dropped and reported as truncated.
+   */
+  async streamToolCalls(stream, { processToolCallsFn, generateIdFn, formatToolResultFn, maxOutputChars = Infinity }) {
+    let outputText = '';
+    let truncated = false;
+    let queue = Promise.resolve();
+    const serialize = (fn) => (queue = queue.then(fn));
+
+    const toolResults = await processToolCallsFn({
+      onToolStart: (toolName, args) => serialize(async () => {
+        const call = await stream.addToolCall({ id: generateIdFn('mcp'), name: toolName });
+        await stream.toolCallArgumentsDelta(call, JSON.stringify(args || {}));
+        await stream.finishToolCallArguments(call);
+        await stream.startToolCall(call);
+        return call;
+      }),
+      onToolResult: (toolResult, call) => serialize(async () => {
+        await stream.finishToolCall(call, this.toolCallOutcome(toolResult));
+        let responseText = toolResult.success
+          ? formatToolResultFn(toolResult.tool, toolResult.result)
+          : `${toolResult.tool} failed: ${toolResult.error}`;
+
+        // max_output_tokens: stop emitting text once the budget is spent
+        const remaining = maxOutputChars - outputText.length;
+        if (responseText.length > remaining) {
+          truncated = true;
+          responseText = responseText.substring(0, Math.max(0, remaining));
+        }
+        if (!responseText) return;
+        outputText += responseText;
+        await this.streamText(stream, generateIdFn('msg'), responseText);
+      })
+    });
+
+    return { outputText, toolResults, truncated };
+  }
+
+  /**
+   * Stream an already-complete text as one message item in STREAM_CHUNK_SIZE chunks
+   */
+  async streamText(stream, messageId, text) {
+    const chunkSize = parseInt(this.env.STREAM_CHUNK_SIZE) || 1024;
+    const message = await stream.addMessage(messageId);
+
+    // Break on whitespace so chunks never split a word (or a surrogate pair)
+    let chunk = '';
+    for (const word of text.split(/(?<=\s)/)) {
+      if (chunk && chunk.length + word.length > chunkSize) {
+        await stream.textDelta(message, chunk);
+        chunk = '';
+      }
+      chunk += word;
+    }
+    await stream.textDelta(message, chunk);
+    await stream.finishMessage(message);
+  }
+
+  /**
+   * Add the output of a complete upstream response: messages, and an mcp_call item per
+   * function call (finished by the caller once the call has run)
+   * Returns a Map of call_id to the mcp_call handle
+   */
+  async addModelOutput(stream, modelResponse, generateIdFn) {
+    const functionCalls = new Map();
+    for (const item of modelResponse.output || []) {
+      if (item.type === 'message') {
+        const handle = await stream.addMessage(generateIdFn('msg'));
+        await stream.textDelta(handle, (item.content || [])
+          .filter(part => part.type === 'output_text')
+          .map(part => part.text)
+          .join(''));
+        await stream.finishMessage(handle);
+      } else if (item.type === 'function_call') {
+        const handle = await stream.addToolCall({ id: generateIdFn('mcp'), name: item.name });
+        await stream.toolCallArgumentsDelta(handle, item.arguments);
+        await stream.finishToolCallArguments(handle);
+        functionCalls.set(item.call_id, handle);
+      }
+    }
+    return functionCalls;
+  }
+
+  /**
+   * Forward an upstream model stream to the client as it arrives; function calls become
+   * mcp_call items, finished by the caller once the call has run
+   * Returns { modelResponse, functionCalls } where functionCalls maps call_id to its item handle
+   */
+  async forwardModelStream(stream, upstreamEvents, generateIdFn) {
+    const handles = new Map(); // upstream item id -> our handle
+    const functionCalls = new Map();
+    let modelResponse = null;
+
+    for await (const event of upstreamEvents) {
+      switch (event.type) {
+        case 'response.output_item.added':
+          if (event.item.type === 'message') {
+            handles.set(event.item.id, await stream.addMessage(generateIdFn('msg')));
+          } else if (event.item.type === 'function_call') {
+            const handle = await stream.addToolCall({ id: generateIdFn('mcp'), name: event.item.name });
+            handles.set(event.item.id, handle);
+            functionCalls.set(event.item.call_id, handle);
+          }
+          break;
+
+        case 'response.output_text.delta': {
+          const handle = handles.get(event.item_id);
+          if (handle) await stream.textDelta(handle, event.delta);
+          break;
+        }
+
+        case 'response.function_call_arguments.delta': {
+          const handle = handles.get(event.item_id);
+          if (handle) await stream.toolCallArgumentsDelta(handle, event.delta);
+          break;
+        }
+
+        case 'response.output_item.done': {
+          const handle = handles.get(event.item.id);
+          if (!handle) break;
+          if (event.item.type === 'message') {
+            await stream.finishMessage(handle);
+          } else if (event.item.type === 'function_call') {
+            // Some servers send the arguments only on completion
+            if (!handle.item.arguments && event.item.arguments) {
+              await stream.toolCallArgumentsDelta(handle, event.item.arguments);
             }
+            await stream.finishToolCallArguments(handle);
           }
+          break;
         }
-      } else {
-        const responseText = generateContextualResponseFn(''); // Pass relevant input if needed
-        const words = responseText.split(' ');
-        for (const word of words) {
-          await writer.write(encoder.encode(`event: response.output_text.delta\\ndata: ${JSON.stringify({
-            delta: word + ' '
-          })}\\n\\n`));
-          await new Promise(resolve => setTimeout(resolve, 50));
+
+        case 'response.completed':
+        case 'response.incomplete':
+          modelResponse = event.response;
+          break;
+
+        case 'response.failed':
+        case 'error': {
+          const message = event.response?.error?.message || event.message || 'Upstream model stream failed';
+          const error = new Error(`Model provider error: ${message}`);
+          error.status = 502;
+          throw error;
         }
-      }
 
-      await writer.write(encoder.encode(`event: response.completed\\ndata: ${JSON.stringify({
-        id: responseId,
-        status: "completed"
-      })}\\n\\n`));
+        default:
+          // Reasoning and other item types are not forwarded
+          break;
+      }
+    }
 
-    } catch (error) {
-      await writer.write(encoder.encode(`event: response.error\\ndata: ${JSON.stringify({
-        error: error.message
-      })}\\n\\n`));
-    } finally {
-      await writer.close();
+    if (!modelResponse) {
+      const error = new Error('Model provider error: stream ended without a completed response');
+      error.status = 502;
+      throw error;
     }
+
+    return { modelResponse, functionCalls };
   }
 }
 
-module.exports = { OpenAIResponseProcessor };
\ No newline at end of file
+module.exports = { OpenAIResponseProcessor };
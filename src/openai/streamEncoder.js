@@ -0,0 +1,214 @@
+/**
+ * Encodes a Responses API stream: the exact event sequence (with sequence_number)
+ * that the official OpenAI SDK stream helpers parse.
+ * Tools run by the proxy itself appear as mcp_call items, never as function_call items
+ * (which would ask the client to run them).
+ */
+
+// server_label of the mcp_call items for the proxy's own tools
+const MCP_SERVER_LABEL = 'sports-proxy';
+
+class ResponseStreamEncoder {
+  /**
+   * @param writer   WritableStreamDefaultWriter for the SSE body, or null to only build
+   *                 the response object (non-streaming requests)
+   * @param encoder  TextEncoder
+   * @param response Base response object (status in_progress, empty output)
+   */
+  constructor(writer, encoder, response) {
+    this.writer = writer;
+    this.encoder = encoder;
+    this.response = response;
+    this.sequenceNumber = 0;
+    this.openItems = new Set(); // handles of items not yet done
+  }
+
+  /**
+   * Write one SSE event; data always carries type and sequence_number
+   */
+  async send(type, payload = {}) {
+    const data = { type, sequence_number: this.sequenceNumber++, ...payload };
+    if (!this.writer) return;
+    // Respect backpressure from a slow client before queueing more
+    await this.writer.ready;
+    await this.writer.write(this.encoder.encode(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`));
+  }
+
+  /**
+   * response.created + response.in_progress
+   */
+  async start() {
+    await this.send('response.created', { response: this._snapshot() });
+    await this.send('response.in_progress', { response: this._snapshot() });
+  }
+
+  /**
+   * Open an assistant message item with one output_text part
+   * Returns a handle for textDelta / finishMessage
+   */
+  async addMessage(id) {
+    const item = { id, type: 'message', status: 'in_progress', role: 'assistant', content: [] };
+    const handle = { item, outputIndex: this.response.output.length, text: '' };
+    this.response.output.push(item);
+    this.openItems.add(handle);
+
+    await this.send('response.output_item.added', { output_index: handle.outputIndex, item: { ...item, content: [] } });
+    await this.send('response.content_part.added', {
+      item_id: id,
+      output_index: handle.outputIndex,
+      content_index: 0,
+      part: { type: 'output_text', text: '', annotations: [] }
+    });
+    return handle;
+  }
+
+  async textDelta(handle, delta) {
+    if (!delta) return;
+    handle.text += delta;
+    await this.send('response.output_text.delta', {
+      item_id: handle.item.id,
+      output_index: handle.outputIndex,
+      content_index: 0,
+      delta,
+      logprobs: []
+    });
+  }
+
+  /**
+   * output_text.done, content_part.done, output_item.done
+   * status is incomplete for a message cut off before its model finished it
+   */
+  async finishMessage(handle, status = 'completed') {
+    const part = { type: 'output_text', text: handle.text, annotations: [] };
+    handle.item.content = [part];
+    handle.item.status = status;
+    this.openItems.delete(handle);
+
+    await this.send('response.output_text.done', {
+      item_id: handle.item.id,
+      output_index: handle.outputIndex,
+      content_index: 0,
+      text: handle.text,
+      logprobs: []
+    });
+    await this.send('response.content_part.done', {
+      item_id: handle.item.id,
+      output_index: handle.outputIndex,
+      content_index: 0,
+      part
+    });
+    await this.send('response.output_item.done', { output_index: handle.outputIndex, item: handle.item });
+  }
+
+  /**
+   * Open an mcp_call item for a tool call; arguments stream through toolCallArgumentsDelta
+   * and finishToolCallArguments, the outcome arrives with finishToolCall
+   */
+  async addToolCall({ id, name }) {
+    const item = {
+      id,
+      type: 'mcp_call',
+      status: 'in_progress',
+      server_label: MCP_SERVER_LABEL,
+      name,
+      arguments: '',
+      output: null,
+      error: null
+    };
+    const handle = { item, outputIndex: this.response.output.length };
+    this.response.output.push(item);
+    this.openItems.add(handle);
+
+    await this.send('response.output_item.added', { output_index: handle.outputIndex, item: { ...item } });
+    return handle;
+  }
+
+  async toolCallArgumentsDelta(handle, delta) {
+    if (!delta) return;
+    handle.item.arguments += delta;
+    await this.send('response.mcp_call_arguments.delta', {
+      item_id: handle.item.id,
+      output_index: handle.outputIndex,
+      delta
+    });
+  }
+
+  async finishToolCallArguments(handle) {
+    await this.send('response.mcp_call_arguments.done', {
+      item_id: handle.item.id,
+      output_index: handle.outputIndex,
+      arguments: handle.item.arguments
+    });
+  }
+
+  /**
+   * mcp_call.in_progress: the call is executing
+   */
+  async startToolCall(handle) {
+    await this.send('response.mcp_call.in_progress', {
+      item_id: handle.item.id,
+      output_index: handle.outputIndex
+    });
+  }
+
+  /**
+   * mcp_call.completed (or failed when error is set) + output_item.done
+   * output is the call's result as a string
+   */
+  async finishToolCall(handle, { output = null, error = null }) {
+    Object.assign(handle.item, { status: error ? 'failed' : 'completed', output, error });
+    this.openItems.delete(handle);
+
+    await this.send(error ? 'response.mcp_call.failed' : 'response.mcp_call.completed', {
+      item_id: handle.item.id,
+      output_index: handle.outputIndex
+    });
+    await this.send('response.output_item.done', { output_index: handle.outputIndex, item: handle.item });
+  }
+
+  /**
+   * Mark every item still open as incomplete (a budget, timeout or error cut it off),
+   * so each output_item.added has its output_item.done
+   */
+  async finishOpenItems() {
+    for (const handle of this.openItems) {
+      if (handle.item.type === 'message') {
+        await this.finishMessage(handle, 'incomplete');
+      } else {
+        handle.item.status = 'incomplete';
+        this.openItems.delete(handle);
+        await this.send('response.output_item.done', { output_index: handle.outputIndex, item: handle.item });
+      }
+    }
+  }
+
+  /**
+   * response.completed (or response.incomplete) with the full response object
+   */
+  async complete(fields = {}) {
+    await this.finishOpenItems();
+    Object.assign(this.response, { status: 'completed', ...fields });
+    const type = this.response.status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+    await this.send(type, { response: this._snapshot() });
+    return this.response;
+  }
+
+  /**
+   * response.failed with an error object
+   */
+  async fail(error) {
+    await this.finishOpenItems();
+    Object.assign(this.response, {
+      status: 'failed',
+      error: { code: error.code || 'server_error', message: error.message }
+    });
+    await this.send('response.failed', { response: this._snapshot() });
+    return this.response;
+  }
+
+  _snapshot() {
+    return JSON.parse(JSON.stringify(this.response));
+  }
+}
+
+module.exports = { ResponseStreamEncoder };
@@ -0,0 +1,81 @@
+/**
+ * Guards the model tool-calling loop: caps tool calls, enforces a wall-clock budget
+ * and detects a model repeating the same call.
+ */
+class ToolLoopGuard {
+  constructor({ maxToolCalls, budgetMs, maxRepeats = 2 }) {
+    this.maxToolCalls = maxToolCalls;
+    this.budgetMs = budgetMs;
+    this.maxRepeats = maxRepeats;
+    this.startedAt = Date.now();
+    this.toolCalls = 0;
+    this.repeats = 0;
+    this.seenCalls = new Set();
+    this.stopReason = null;
+  }
+
+  /**
+   * Milliseconds left in the budget
+   */
+  remainingMs() {
+    return Math.max(0, this.budgetMs - (Date.now() - this.startedAt));
+  }
+
+  /**
+   * Whether the budget is used up (records budget_exceeded as the stop reason)
+   */
+  isOverBudget() {
+    if (this.remainingMs() > 0) return false;
+    this.stopReason = this.stopReason || 'budget_exceeded';
+    return true;
+  }
+
+  /**
+   * Check a function call before executing it
+   * Returns { allowed: true } or { allowed: false, message } to feed back to the model
+   */
+  registerCall(name, args) {
+    if (this.toolCalls >= this.maxToolCalls) {
+      this.stopReason = this.stopReason || 'max_tool_calls';
+      return {
+        allowed: false,
+        message: `Tool call limit (${this.maxToolCalls}) reached. Answer with the information already gathered.`
+      };
+    }
+
+    const signature = `${name}:${this._canonicalize(args)}`;
+    if (this.seenCalls.has(signature)) {
+      this.repeats++;
+      if (this.repeats >= this.maxRepeats) {
+        this.stopReason = this.stopReason || 'tool_loop_detected';
+      }
+      return {
+        allowed: false,
+        message: `Duplicate call: ${name} was already called with these arguments. Use the earlier result.`
+      };
+    }
+
+    this.seenCalls.add(signature);
+    this.toolCalls++;
+    return { allowed: true };
+  }
+
+  /**
+   * Whether the loop should stop asking for more tool calls
+   */
+  shouldStop() {
+    return this.stopReason !== null;
+  }
+
+  _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this._canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this._canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = { ToolLoopGuard };
@@ -3,6 +3,13 @@
  * Common data structures across all sports feeds
  */
 
+/**
+ * Version of the normalized shapes below and the transforms that produce them.
+ * Bump it whenever a schema or transform changes: cache keys include it, and cached
+ * payloads written under another version are treated as misses.
+ */
+const SCHEMA_VERSION = 1;
+
 /**
  * Normalized Team schema
  */
@@ -166,6 +173,7 @@ function transformESPNTeam(espnTeam) {
 }
 
 module.exports = {
+  SCHEMA_VERSION,
   TeamSchema,
   PlayerSchema,
   GameSchema,
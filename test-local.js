@@ -6,13 +6,14 @@
  */
 
 const { ResponsesAPIOrchestrator } = require('./src/mcp/orchestrator');
+const { MCPCoordinator } = require('./src/mcp/mcpCoordinator');
 const { CacheManager } = require('./src/cache/manager');
 const { transformMLBTeam } = require('./src/schemas/sports');
+const { startMockMcpServer, cannedReply } = require('./test/helpers/mockMcpServer');
 
-// Mock environment for testing
+// Mock environment for testing; MLB_MCP_URL points at a local stub MCP server unless set
 const mockEnv = {
-  MLB_MCP_URL: 'https://mlbstats-mcp.gerrygugger.workers.dev',
-  ESPN_MCP_URL: 'https://espn-mcp.example.workers.dev',
+  MLB_MCP_URL: process.env.MLB_MCP_URL,
   CACHE_TTL_HOT: '10',
   CACHE_TTL_COLD: '300',
   ENVIRONMENT: 'development'
@@ -35,6 +36,16 @@ async function testOrchestrator() {
   return true;
 }
 
+async function testHttpTransport() {
+  console.log('\n🧪 Testing MCP calls over HTTP...');
+
+  const coordinator = new MCPCoordinator(mockEnv);
+  const result = await coordinator.callTool('get_team_info', { sport: 'mlb', teamId: '147' });
+  console.log(`✅ get_team_info via ${mockEnv.MLB_MCP_URL}:`, result);
+
+  return true;
+}
+
 async function testCacheManager() {
   console.log('\n🧪 Testing Cache Manager...');
   
@@ -79,8 +90,12 @@ async function main() {
   console.log('🚀 Sports Proxy Local Test Suite');
   console.log('=' .repeat(50));
   
+  const stub = mockEnv.MLB_MCP_URL ? null : await startMockMcpServer(cannedReply);
+  if (stub) mockEnv.MLB_MCP_URL = stub.url;
+
   try {
     await testOrchestrator();
+    await testHttpTransport();
     await testCacheManager();
     await testSchemas();
     
@@ -90,7 +105,9 @@ async function main() {
     
   } catch (error) {
     console.error('\n❌ Test failed:', error.message);
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    await stub?.close();
   }
 }
 
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { AuthProvider } = require('../src/auth/provider');
+const { MockKV } = require('./helpers/kv');
+const { loadWorker, executionContext } = require('./helpers/worker');
+
+const hashed = (token) => `apikey:${crypto.createHash('sha256').update(token).digest('hex')}`;
+
+/**
+ * API_KEYS namespace holding a record per key, stored under the hash of the key
+ */
+async function keyStore(records) {
+  const kv = new MockKV();
+  for (const [token, record] of Object.entries(records)) {
+    await kv.put(hashed(token), JSON.stringify(record));
+  }
+  return kv;
+}
+
+const request = (path, authorization, method = 'GET') => new Request(`https://proxy.test${path}`, {
+  method,
+  headers: authorization ? { Authorization: authorization } : {}
+});
+
+test('public paths need no key', async () => {
+  const auth = new AuthProvider({ API_KEYS: new MockKV() });
+
+  for (const path of ['/', '/health']) {
+    assert.deepEqual(await auth.validateRequest(request(path)), { valid: true, user: null, public: true });
+  }
+});
+
+test('missing or malformed Authorization headers are 401', async () => {
+  const auth = new AuthProvider({ API_KEYS: new MockKV() });
+
+  for (const [header, error] of [
+    [undefined, 'Missing Authorization header'],
+    ['Basic dXNlcjpwYXNz', 'Invalid Authorization header format'],
+    ['Bearer', 'Invalid Authorization header format'] // Headers trim "Bearer " to this
+  ]) {
+    const result = await auth.validateRequest(request('/responses', header));
+    assert.equal(result.valid, false);
+    assert.equal(result.status, 401);
+    assert.equal(result.error, error);
+  }
+});
+
+test('keys are looked up by their SHA-256, never in the clear', async () => {
+  const kv = await keyStore({ sp_live: { id: 'key-1', tier: 'premium', scopes: ['responses'] } });
+  const auth = new AuthProvider({ API_KEYS: kv });
+
+  const bearer = await auth.validateRequest(request('/responses', 'Bearer sp_live'));
+  assert.equal(bearer.valid, true);
+  assert.equal(bearer.user.id, 'key-1');
+  assert.deepEqual(bearer.user.rateLimit, { requests: 10000, window: 3600 });
+  assert.equal((await auth.validateRequest(request('/responses', 'API-Key sp_live'))).valid, true);
+
+  await kv.put('apikey:sp_plain', JSON.stringify({ id: 'plain', scopes: ['*'] }));
+  const plain = await auth.validateRequest(request('/responses', 'Bearer sp_plain'));
+  assert.equal(plain.valid, false);
+  assert.equal(plain.error, 'Invalid API key');
+});
+
+test('disabled and expired keys are rejected', async () => {
+  const auth = new AuthProvider({
+    API_KEYS: await keyStore({
+      sp_disabled: { id: 'off', scopes: ['*'], disabled: true },
+      sp_expired: { id: 'old', scopes: ['*'], expiresAt: '2020-01-01T00:00:00Z' },
+      sp_current: { id: 'new', scopes: ['*'], expiresAt: new Date(Date.now() + 60000).toISOString() }
+    })
+  });
+
+  const disabled = await auth.validateRequest(request('/responses', 'Bearer sp_disabled'));
+  assert.deepEqual([disabled.valid, disabled.status, disabled.error], [false, 401, 'Invalid API key']);
+  const expired = await auth.validateRequest(request('/responses', 'Bearer sp_expired'));
+  assert.deepEqual([expired.valid, expired.status, expired.error], [false, 401, 'API key expired']);
+  assert.equal((await auth.validateRequest(request('/responses', 'Bearer sp_current'))).valid, true);
+});
+
+test('a key without the route scope gets 403 on /admin/* and /responses/{id}', async () => {
+  const auth = new AuthProvider({
+    API_KEYS: await keyStore({ sp_tools: { id: 'tools', scopes: ['tools:call'] } })
+  });
+
+  for (const path of ['/admin/cache/stats', '/admin/cache/invalidate', '/responses/resp_123', '/responses']) {
+    const result = await auth.validateRequest(request(path, 'Bearer sp_tools'));
+    assert.equal(result.valid, false, path);
+    assert.equal(result.status, 403, path);
+  }
+  assert.equal((await auth.validateRequest(request('/stream', 'Bearer sp_tools'))).valid, true);
+});
+
+test('the worker rejects unauthenticated and unscoped requests with CORS headers', async () => {
+  const worker = (await loadWorker()).default;
+  const env = { API_KEYS: await keyStore({ sp_tools: { id: 'tools', tier: 'unlimited', scopes: ['tools:call'] } }) };
+
+  const unauthenticated = await worker.fetch(request('/responses', undefined, 'POST'), env, executionContext());
+  assert.equal(unauthenticated.status, 401);
+  assert.equal(unauthenticated.headers.get('Access-Control-Allow-Origin'), '*');
+  assert.match(unauthenticated.headers.get('WWW-Authenticate'), /Bearer realm/);
+
+  const forbidden = await worker.fetch(request('/admin/cache/stats', 'Bearer sp_tools'), env, executionContext());
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.headers.get('Access-Control-Allow-Origin'), '*');
+  assert.match(forbidden.headers.get('WWW-Authenticate'), /insufficient_scope/);
+  assert.equal((await forbidden.json()).error, 'Authorization failed');
+
+  const root = await worker.fetch(request('/'), env, executionContext());
+  assert.equal(root.status, 200);
+});
+
+test('without a key store only development accepts any token', async () => {
+  const production = await new AuthProvider({}).validateRequest(request('/responses', 'Bearer anything'));
+  assert.deepEqual([production.valid, production.status], [false, 401]);
+
+  const development = await new AuthProvider({ ENVIRONMENT: 'development' })
+    .validateRequest(request('/responses', 'Bearer anything'));
+  assert.equal(development.valid, true);
+});
@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CacheManager } = require('../src/cache/manager');
+const { MockKV } = require('./helpers/kv');
+
+const cache = new CacheManager({});
+
+test('cache keys ignore argument order and undefined fields', async () => {
+  const key = await cache._generateKey('get_schedule', { sport: 'mlb', teamId: '147', date: '2025-07-04' });
+
+  assert.equal(await cache._generateKey('get_schedule', { date: '2025-07-04', teamId: '147', sport: 'mlb' }), key);
+  assert.equal(await cache._generateKey('get_schedule', { teamId: '147', sport: 'mlb', date: '2025-07-04', season: undefined }), key);
+  assert.match(key, /^sports:v\d+:mlb:get_schedule:[0-9a-f]{64}$/);
+});
+
+test('nested objects are ordered too; arrays keep their order', async () => {
+  const key = await cache._generateKey('get_player_stats', { sport: 'mlb', filters: { season: 2025, group: 'hitting' }, ids: [1, 2] });
+
+  assert.equal(await cache._generateKey('get_player_stats', { ids: [1, 2], filters: { group: 'hitting', season: 2025 }, sport: 'mlb' }), key);
+  assert.notEqual(await cache._generateKey('get_player_stats', { sport: 'mlb', filters: { season: 2025, group: 'hitting' }, ids: [2, 1] }), key);
+});
+
+test('different values, tools or sports never share a key', async () => {
+  const key = await cache._generateKey('get_team_info', { sport: 'mlb', teamId: '147' });
+
+  assert.notEqual(await cache._generateKey('get_team_info', { sport: 'mlb', teamId: 147 }), key, 'string and number ids differ');
+  assert.notEqual(await cache._generateKey('get_team_roster', { sport: 'mlb', teamId: '147' }), key);
+  assert.notEqual(await cache._generateKey('get_team_info', { sport: 'nba', teamId: '147' }), key);
+});
+
+/**
+ * In-memory stand-in for an R2 bucket, enough for writes and the sweep
+ */
+class MockR2 {
+  constructor() {
+    this.objects = new Map();
+  }
+
+  async put(key, body, { customMetadata } = {}) {
+    this.objects.set(key, { key, customMetadata });
+  }
+
+  async list({ prefix = '' } = {}) {
+    const objects = [...this.objects.values()].filter(object => object.key.startsWith(prefix));
+    return { objects, truncated: false };
+  }
+
+  async delete(keys) {
+    for (const key of [].concat(keys)) this.objects.delete(key);
+  }
+}
+
+test('the cold sweep removes index entries of the objects it deletes', async () => {
+  const kv = new MockKV();
+  const r2 = new MockR2();
+  const manager = new CacheManager({ SPORTS_CACHE: kv, SPORTS_STORAGE: r2 });
+  await manager.set('get_live_game', { sport: 'mlb', teamId: '147' }, { status: 'Final' }, 60);
+  await manager.set('get_team_info', { sport: 'mlb', teamId: '147' }, { id: 147 }, 86400);
+  const fresh = await manager._generateKey('get_team_info', { sport: 'mlb', teamId: '147' });
+
+  const result = await manager.sweepCold(Date.now() + 2 * 3600 * 1000);
+
+  assert.equal(result.deleted, 1);
+  assert.deepEqual([...r2.objects.keys()], [fresh]);
+  const { keys } = await kv.list({ prefix: 'sports-idx:' });
+  assert.ok(keys.length > 0);
+  assert.ok(keys.every(entry => entry.metadata.key === fresh), 'only the surviving entry stays indexed');
+  assert.equal(result.indexDeleted, 2, 'tool and team patterns of the swept entry');
+});
+
+test('set() indexes each entry under its tool and entities', async () => {
+  const kv = new MockKV();
+  const manager = new CacheManager({ SPORTS_CACHE: kv });
+  await manager.set('get_player_stats', { sport: 'mlb', teamId: '147', playerId: '592450' }, { hr: 58 }, 60);
+  const key = await manager._generateKey('get_player_stats', { sport: 'mlb', teamId: '147', playerId: '592450' });
+
+  const { keys } = await kv.list({ prefix: 'sports-idx:' });
+  const patterns = ['tool:get_player_stats', 'team:147', 'player:592450'];
+  assert.deepEqual(keys.map(entry => entry.name).sort(), patterns.map(pattern => `sports-idx:${pattern}:${key}`).sort());
+  assert.ok(keys.every(entry => entry.metadata.key === key));
+  assert.deepEqual(keys[0].metadata.patterns, patterns);
+});
+
+test('invalidate() purges matching entries from KV and R2 with their sibling index entries', async () => {
+  const kv = new MockKV();
+  const r2 = new MockR2();
+  const manager = new CacheManager({ SPORTS_CACHE: kv, SPORTS_STORAGE: r2 });
+  await manager.set('get_team_roster', { sport: 'mlb', teamId: '147' }, { roster: [] }, 3600);
+  await manager.set('get_team_info', { sport: 'mlb', teamId: '147' }, { id: 147 }, 300);
+  await manager.set('get_team_info', { sport: 'mlb', teamId: '121' }, { id: 121 }, 300);
+  const kept = await manager._generateKey('get_team_info', { sport: 'mlb', teamId: '121' });
+
+  assert.deepEqual(await manager.invalidate('team:147'), { pattern: 'team:147', invalidated: 2, remaining: 0 });
+
+  assert.deepEqual([...r2.objects.keys()], [kept]);
+  assert.deepEqual([...kv.entries.keys()].filter(name => name.startsWith('sports:')), [kept]);
+  const { keys } = await kv.list({ prefix: 'sports-idx:' });
+  assert.deepEqual(keys.map(entry => entry.name).sort(), [`sports-idx:team:121:${kept}`, `sports-idx:tool:get_team_info:${kept}`]);
+  assert.deepEqual(await manager.invalidate('team:147'), { pattern: 'team:147', invalidated: 0, remaining: 0 });
+});
+
+test('invalidate() rejects unknown pattern types with a 400', async () => {
+  const manager = new CacheManager({ SPORTS_CACHE: new MockKV() });
+
+  for (const pattern of ['team', 'team:', 'league:103', 'get_team_info']) {
+    await assert.rejects(manager.invalidate(pattern), { status: 400, message: /Invalid pattern/ }, pattern);
+  }
+});
+
+test('invalidate() deletes in batches and stops at its delete budget', async () => {
+  const kv = new MockKV();
+  const manager = new CacheManager({ SPORTS_CACHE: kv, CACHE_INVALIDATE_MAX_DELETES: '60' });
+  for (let date = 1; date <= 25; date++) {
+    await manager.set('get_schedule', { sport: 'mlb', date: `2025-07-${String(date).padStart(2, '0')}` }, { games: [] }, 600);
+  }
+  let inFlight = 0;
+  let peak = 0;
+  const remove = kv.delete.bind(kv);
+  kv.delete = async (key) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    inFlight--;
+    return remove(key);
+  };
+
+  // Each key costs two deletes (the entry and its tool: index entry)
+  const first = await manager.invalidate('tool:get_schedule');
+  assert.deepEqual(first, { pattern: 'tool:get_schedule', invalidated: 25, remaining: 0 });
+  assert.ok(peak <= 50, `at most a batch in flight, saw ${peak}`);
+
+  for (let date = 1; date <= 25; date++) {
+    await manager.set('get_schedule', { sport: 'mlb', date: `2025-08-${String(date).padStart(2, '0')}` }, { games: [] }, 600);
+  }
+  // 10 deletes of the budget are left: five keys
+  assert.deepEqual(await manager.invalidate('tool:get_schedule'), { pattern: 'tool:get_schedule', invalidated: 5, remaining: 20 });
+  const { keys } = await kv.list({ prefix: 'sports-idx:tool:get_schedule:' });
+  assert.equal(keys.length, 20, 'the rest stay indexed for the next request');
+});
+
+test('a failed delete reports how many entries were already invalidated', async () => {
+  const kv = new MockKV();
+  const manager = new CacheManager({ SPORTS_CACHE: kv });
+  for (let date = 1; date <= 30; date++) {
+    await manager.set('get_schedule', { sport: 'mlb', date: `2025-07-${String(date).padStart(2, '0')}` }, { games: [] }, 600);
+  }
+  let calls = 0;
+  const remove = kv.delete.bind(kv);
+  kv.delete = async (key) => {
+    if (++calls > 50) throw new Error('Too many subrequests');
+    return remove(key);
+  };
+
+  await assert.rejects(manager.invalidate('tool:get_schedule'), { message: 'Too many subrequests', invalidated: 25 });
+  const { keys } = await kv.list({ prefix: 'sports-idx:tool:get_schedule:' });
+  assert.equal(keys.length, 5, 'keys that were not deleted are still indexed');
+});
@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CIRCUIT_CLOSED,
+  CIRCUIT_OPEN,
+  CIRCUIT_HALF_OPEN,
+  newCircuit,
+  acquireCall,
+  recordCalls,
+  CircuitBreakers
+} = require('../src/mcp/circuitBreaker');
+
+const config = { failureRate: 0.5, minCalls: 4, windowMs: 60000, openMs: 30000 };
+
+test('a closed circuit opens once the failure rate is reached over enough calls', () => {
+  const circuit = newCircuit(0);
+
+  recordCalls(circuit, { failures: 2 }, config, 1000);
+  assert.equal(circuit.state, CIRCUIT_CLOSED, 'too few calls for the rate to count');
+  recordCalls(circuit, { successes: 1, failures: 1 }, config, 2000);
+
+  assert.equal(circuit.state, CIRCUIT_OPEN);
+  assert.equal(circuit.retryAt, 2000 + config.openMs);
+  assert.deepEqual(acquireCall(circuit, config, 3000), { allowed: false, probe: false });
+});
+
+test('counts from an earlier window do not carry over', () => {
+  const circuit = newCircuit(0);
+
+  recordCalls(circuit, { successes: 1, failures: 2 }, config, 1000);
+  recordCalls(circuit, { failures: 1 }, config, config.windowMs + 1000);
+
+  assert.equal(circuit.state, CIRCUIT_CLOSED);
+  assert.equal(circuit.failures, 1);
+  assert.equal(circuit.successes, 0);
+});
+
+test('after the cool-down one probe is let through and decides the circuit', () => {
+  const circuit = newCircuit(0);
+  recordCalls(circuit, { failures: 4 }, config, 0);
+
+  assert.deepEqual(acquireCall(circuit, config, config.openMs), { allowed: true, probe: true });
+  assert.equal(circuit.state, CIRCUIT_HALF_OPEN);
+  assert.deepEqual(acquireCall(circuit, config, config.openMs + 1), { allowed: false, probe: false });
+
+  recordCalls(circuit, { successes: 3 }, config, config.openMs + 2);
+  assert.equal(circuit.state, CIRCUIT_HALF_OPEN, 'only the probe decides');
+
+  recordCalls(circuit, { successes: 1, probe: true }, config, config.openMs + 3);
+  assert.equal(circuit.state, CIRCUIT_CLOSED);
+  assert.equal(circuit.failures, 0);
+});
+
+test('a failed probe re-opens the circuit; a lost probe is replaced after a cool-down', () => {
+  const circuit = newCircuit(0);
+  recordCalls(circuit, { failures: 4 }, config, 0);
+  acquireCall(circuit, config, config.openMs);
+
+  assert.deepEqual(acquireCall(circuit, config, 2 * config.openMs), { allowed: true, probe: true });
+  recordCalls(circuit, { failures: 1, probe: true }, config, 2 * config.openMs);
+
+  assert.equal(circuit.state, CIRCUIT_OPEN);
+  assert.equal(circuit.retryAt, 3 * config.openMs);
+});
+
+/**
+ * CIRCUIT_BREAKER stand-in that keeps the circuit closed and records what is reported
+ */
+function recordingBreaker() {
+  const reports = [];
+  return {
+    reports,
+    idFromName: (name) => name,
+    get: () => ({
+      fetch: async (url, init) => {
+        if (url.endsWith('/record')) reports.push(JSON.parse(init.body));
+        return Response.json({ allowed: true, probe: false, state: CIRCUIT_CLOSED, retryAt: null });
+      }
+    })
+  };
+}
+
+test('locally counted successes older than the window are not reported', async () => {
+  const namespace = recordingBreaker();
+  const breakers = new CircuitBreakers({ CIRCUIT_BREAKER: namespace, CIRCUIT_WINDOW: '60' });
+  const start = Date.now();
+
+  await breakers.allow('OLD_SUCCESSES_MCP', start);
+  for (let i = 0; i < 50; i++) {
+    await breakers.record('OLD_SUCCESSES_MCP', true, {}, start + i);
+  }
+  await breakers.record('OLD_SUCCESSES_MCP', true, {}, start + 61000);
+  await breakers.record('OLD_SUCCESSES_MCP', false, {}, start + 62000);
+
+  assert.deepEqual(namespace.reports, [{ successes: 1, failures: 1, probe: false }]);
+});
+
+test('successes within the window are reported with the next failure', async () => {
+  const namespace = recordingBreaker();
+  const breakers = new CircuitBreakers({ CIRCUIT_BREAKER: namespace });
+  const start = Date.now();
+
+  await breakers.allow('RECENT_SUCCESSES_MCP', start);
+  await breakers.record('RECENT_SUCCESSES_MCP', true, {}, start + 1000);
+  await breakers.record('RECENT_SUCCESSES_MCP', true, {}, start + 2000);
+  await breakers.record('RECENT_SUCCESSES_MCP', false, {}, start + 3000);
+  await breakers.record('RECENT_SUCCESSES_MCP', false, {}, start + 4000);
+
+  assert.deepEqual(namespace.reports, [
+    { successes: 2, failures: 1, probe: false },
+    { successes: 0, failures: 1, probe: false }
+  ]);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { ConversationStore } = require('../src/openai/conversationStore');
+const { ResponsesAPIOrchestrator } = require('../src/mcp/orchestrator');
+const { MockKV } = require('./helpers/kv');
+const { startMockModelServer, messageResponse } = require('./helpers/mockModelServer');
+const { loadWorker, executionContext } = require('./helpers/worker');
+
+/**
+ * A stored turn: the user's input and the assistant's reply
+ */
+function turn(id, question, answer, previousId = null, extra = {}) {
+  return {
+    response: {
+      id,
+      output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: answer }] }]
+    },
+    input: [{ role: 'user', content: question }],
+    entities: {},
+    previous_response_id: previousId,
+    ...extra
+  };
+}
+
+test('a previous_response_id chain is rehydrated oldest first with merged entities', async () => {
+  const store = new ConversationStore({ CONVERSATION_STATE: new MockKV() });
+  await store.save(turn('resp_1', 'Tell me about the Bruins', 'The Bruins play in Boston.', null, {
+    entities: { team: { id: '6', sport: 'hockey' } }
+  }));
+  await store.save(turn('resp_2', 'Who is their captain?', 'Brad Marchand.', 'resp_1', {
+    entities: { player: { id: '8473419', sport: 'hockey' } }
+  }));
+
+  const conversation = await store.loadConversation('resp_2');
+
+  assert.deepEqual(conversation.messages, [
+    { role: 'user', content: 'Tell me about the Bruins' },
+    { role: 'assistant', content: 'The Bruins play in Boston.' },
+    { role: 'user', content: 'Who is their captain?' },
+    { role: 'assistant', content: 'Brad Marchand.' }
+  ]);
+  assert.deepEqual(conversation.entities, {
+    team: { id: '6', sport: 'hockey' },
+    player: { id: '8473419', sport: 'hockey' }
+  });
+});
+
+test('older turns are dropped past MAX_CONVERSATION_TOKENS; the latest is always kept', async () => {
+  const store = new ConversationStore({ CONVERSATION_STATE: new MockKV(), MAX_CONVERSATION_TOKENS: '40' });
+  await store.save(turn('resp_1', 'x'.repeat(200), 'first'));
+  await store.save(turn('resp_2', 'second question', 'second', 'resp_1'));
+  await store.save(turn('resp_3', 'y'.repeat(400), 'third', 'resp_2'));
+
+  const { messages } = await store.loadConversation('resp_3');
+  assert.deepEqual(messages.map(message => message.content), ['y'.repeat(400), 'third']);
+
+  const roomy = new ConversationStore({ CONVERSATION_STATE: store.kv, MAX_CONVERSATION_TOKENS: '150' });
+  const { messages: recent } = await roomy.loadConversation('resp_3');
+  assert.deepEqual(recent.map(message => message.content), ['second question', 'second', 'y'.repeat(400), 'third']);
+});
+
+test('an unknown or foreign previous_response_id is a 400', async () => {
+  const store = new ConversationStore({ CONVERSATION_STATE: new MockKV() });
+  await store.save(turn('resp_1', 'hi', 'hello', null, { owner: 'key-a' }));
+
+  await assert.rejects(store.loadConversation('resp_missing'), { status: 400, message: /resp_missing/ });
+  await assert.rejects(store.loadConversation('resp_1', 'key-b'), { status: 400 });
+  assert.equal((await store.loadConversation('resp_1', 'key-a')).messages.length, 2);
+});
+
+test('a follow-up sends the stored turns to the model', async (t) => {
+  const server = await startMockModelServer((body, index) => messageResponse(['The Bruins play in Boston.', 'TD Garden.'][index]));
+  t.after(() => server.close());
+  const orchestrator = new ResponsesAPIOrchestrator({ MODEL_API_BASE_URL: server.url, CONVERSATION_STATE: new MockKV() });
+
+  const first = await orchestrator.processResponsesAPIRequest({ model: 'gpt-4.1', input: 'Tell me about the Bruins', owner: 'key-a' });
+  const second = await orchestrator.processResponsesAPIRequest({
+    model: 'gpt-4.1', input: 'What arena?', previous_response_id: first.id, owner: 'key-a'
+  });
+
+  assert.equal(second.previous_response_id, first.id);
+  const sent = JSON.stringify(server.requests[1].body.input);
+  assert.match(sent, /Tell me about the Bruins/);
+  assert.match(sent, /The Bruins play in Boston\./);
+  assert.match(sent, /What arena\?/);
+  await assert.rejects(
+    orchestrator.processResponsesAPIRequest({ model: 'gpt-4.1', input: 'More', previous_response_id: first.id, owner: 'key-b' }),
+    { status: 400 }
+  );
+});
+
+test('GET and DELETE /responses/{id} only reach the owner\'s responses', async () => {
+  const worker = (await loadWorker()).default;
+  const keys = new MockKV();
+  for (const [token, id] of [['sp_a', 'key-a'], ['sp_b', 'key-b']]) {
+    const hash = crypto.createHash('sha256').update(token).digest('hex');
+    await keys.put(`apikey:${hash}`, JSON.stringify({ id, tier: 'unlimited', scopes: ['responses'] }));
+  }
+  const env = { API_KEYS: keys, CONVERSATION_STATE: new MockKV() };
+  await new ConversationStore(env).save(turn('resp_owned', 'hi', 'hello', null, { owner: 'key-a' }));
+  const call = (method, token) => worker.fetch(new Request('https://proxy.test/responses/resp_owned', {
+    method,
+    headers: { Authorization: `Bearer ${token}` }
+  }), env, executionContext());
+
+  assert.equal((await call('GET', 'sp_b')).status, 404);
+  assert.equal((await call('DELETE', 'sp_b')).status, 404);
+  const owned = await call('GET', 'sp_a');
+  assert.equal(owned.status, 200);
+  assert.equal((await owned.json()).id, 'resp_owned');
+
+  assert.deepEqual(await (await call('DELETE', 'sp_a')).json(), { id: 'resp_owned', object: 'response', deleted: true });
+  assert.equal((await call('GET', 'sp_a')).status, 404);
+});
+
+test('/responses answers an unknown previous_response_id with 400', async () => {
+  const worker = (await loadWorker()).default;
+  const env = { ENVIRONMENT: 'development', SKIP_AUTH: 'true', CONVERSATION_STATE: new MockKV() };
+
+  const response = await worker.fetch(new Request('https://proxy.test/responses', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ input: 'And their roster?', previous_response_id: 'resp_unknown' })
+  }), env, executionContext());
+
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /resp_unknown/);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GameStateTracker } = require('../src/cache/gameState');
+const { MockKV } = require('./helpers/kv');
+
+const game = (id, status, offsetMs = 0) => ({
+  id,
+  date: new Date(Date.now() + offsetMs).toISOString(),
+  status,
+  homeTeam: { id: 147 },
+  awayTeam: { id: 111 }
+});
+
+test('a repeated schedule refresh writes nothing', async () => {
+  const kv = new MockKV();
+  const schedule = { games: [game(1, 'Scheduled', 3600000), game(2, 'Final', -86400000)] };
+
+  await new GameStateTracker({}, kv).observe('get_schedule', { teamId: '147' }, schedule, 'mlb');
+  assert.equal(kv.puts.length, 3, 'two games and the team');
+
+  await new GameStateTracker({}, kv).observe('get_schedule', { teamId: '147' }, schedule, 'mlb');
+  assert.equal(kv.puts.length, 3);
+});
+
+test('a status change rewrites the game and its team', async () => {
+  const kv = new MockKV();
+  const startsAt = -600000;
+  await new GameStateTracker({}, kv).observe('get_schedule', { teamId: '147' }, { games: [game(1, 'Scheduled', startsAt)] }, 'mlb');
+  kv.puts.length = 0;
+
+  const tracker = new GameStateTracker({}, kv);
+  await tracker.observe('get_schedule', { teamId: '147' }, { games: [game(1, 'In Progress', startsAt)] }, 'mlb');
+
+  assert.deepEqual(kv.puts.sort(), ['sports-state:mlb:game:1', 'sports-state:mlb:team:147']);
+  assert.equal((await tracker.lookup('get_team_roster', { teamId: '147' }, 'mlb')).phase, 'live');
+});
+
+test('get_live_game updates known schedules only when the status changed', async () => {
+  const kv = new MockKV();
+  const live = game(1, 'In Progress', -600000);
+  await new GameStateTracker({}, kv).observe('get_schedule', { teamId: '147' }, { games: [live] }, 'mlb');
+  kv.puts.length = 0;
+
+  await new GameStateTracker({}, kv).observe('get_live_game', { gamePk: 1 }, live, 'mlb');
+  assert.equal(kv.puts.length, 0);
+
+  await new GameStateTracker({}, kv).observe('get_live_game', { gamePk: 1 }, { ...live, status: 'Final' }, 'mlb');
+  assert.deepEqual(kv.puts.sort(), ['sports-state:mlb:game:1', 'sports-state:mlb:team:147']);
+  const team = await kv.get('sports-state:mlb:team:147', { type: 'json' });
+  assert.equal(team.games[0].status, 'final');
+});
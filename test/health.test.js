@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockKV } = require('./helpers/kv');
+const { loadWorker, executionContext, MockDurableObjectNamespace } = require('./helpers/worker');
+
+test('/health summarizes cache usage, reading the Durable Objects at most every 30 s', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const { default: worker, CacheStats, CircuitBreaker } = await loadWorker();
+  const env = { SPORTS_CACHE: new MockKV(), MLB_MCP: { fetch: async () => Response.json({ status: 'ok' }) } };
+  env.CACHE_STATS = new MockDurableObjectNamespace(CacheStats, env);
+  env.CIRCUIT_BREAKER = new MockDurableObjectNamespace(CircuitBreaker, env);
+  await env.CACHE_STATS.get(env.CACHE_STATS.idFromName('global')).fetch('https://cache-stats/record', {
+    method: 'POST',
+    body: JSON.stringify({ tools: { get_team_info: { hot_hits: 3, misses: 1 } } })
+  });
+  const statsReads = env.CACHE_STATS.requests;
+  const health = async () => (await worker.fetch(new Request('https://proxy.test/health'), env, executionContext())).json();
+
+  const first = await health();
+  assert.equal(first.services.cache.usage.hits, 3);
+  assert.equal(first.services.cache.usage.misses, 1);
+  assert.equal(first.services.mcp.mlb.circuit.state, 'closed');
+
+  await health();
+  now += 10 * 1000;
+  await health();
+  assert.equal(env.CACHE_STATS.requests - statsReads, 1);
+  assert.equal(env.CIRCUIT_BREAKER.requests, 1);
+
+  now += 21 * 1000;
+  await health();
+  assert.equal(env.CACHE_STATS.requests - statsReads, 2);
+  assert.equal(env.CIRCUIT_BREAKER.requests, 2);
+});
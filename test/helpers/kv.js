@@ -0,0 +1,35 @@
+/**
+ * In-memory stand-in for a Workers KV namespace; puts records every write
+ */
+class MockKV {
+  constructor() {
+    this.entries = new Map();
+    this.puts = [];
+  }
+
+  async get(key, options) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    const type = typeof options === 'string' ? options : options?.type;
+    return type === 'json' ? JSON.parse(entry.value) : entry.value;
+  }
+
+  async put(key, value, options = {}) {
+    if (options.expirationTtl !== undefined && options.expirationTtl < 60) {
+      throw new Error(`Invalid expiration_ttl of ${options.expirationTtl}`);
+    }
+    this.puts.push(key);
+    this.entries.set(key, { value: String(value), metadata: options.metadata });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    const keys = [...this.entries.keys()].filter(key => key.startsWith(prefix)).sort();
+    return { keys: keys.map(name => ({ name, metadata: this.entries.get(name).metadata })), list_complete: true };
+  }
+}
+
+module.exports = { MockKV };
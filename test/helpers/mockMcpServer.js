@@ -0,0 +1,56 @@
+/**
+ * Local stand-in for a sport's MCP server reached over HTTP (<BINDING>_URL).
+ * Tests script each reply; run directly (node test/helpers/mockMcpServer.js) it answers
+ * every tool call with a fixed team, for pointing MLB_MCP_URL at during local dev.
+ */
+
+const http = require('node:http');
+
+/**
+ * Start a server whose replies come from handle(request): a JSON body, or { status, text }
+ * for an error. request is { method, path, headers, body } and is also kept in requests.
+ */
+async function startMockMcpServer(handle, { port = 0 } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let data = '';
+    for await (const chunk of req) data += chunk;
+    const request = { method: req.method, path: req.url, headers: req.headers, body: data ? JSON.parse(data) : null };
+    requests.push(request);
+
+    const reply = await handle(request);
+    if (typeof reply.status === 'number') {
+      res.writeHead(reply.status, { 'Content-Type': 'text/plain' });
+      res.end(reply.text || 'error');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Health checks get { status: 'ok' }; tool calls get an MLB Stats API style team
+ */
+function cannedReply(request) {
+  if (request.method === 'GET') return { status: 'ok' };
+  return { teams: [{ id: 147, name: 'New York Yankees', abbreviation: 'NYY', league: { name: 'American League' } }] };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT) || 8789;
+  startMockMcpServer(cannedReply, { port })
+    .then(({ url }) => console.log(`Mock MCP server listening on ${url}`));
+}
+
+module.exports = { startMockMcpServer, cannedReply };
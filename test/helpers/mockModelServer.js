@@ -0,0 +1,102 @@
+/**
+ * Local mock of an OpenAI-compatible Responses API endpoint (POST /v1/responses).
+ * Tests script each reply; run directly (node test/helpers/mockModelServer.js) it answers
+ * every request with a fixed message, for pointing MODEL_API_BASE_URL at during local dev.
+ */
+
+const http = require('node:http');
+
+/**
+ * Start a server whose replies come from script(body, index):
+ * a response object, { stream: [events...] } for SSE, or { status, text } for an error
+ */
+async function startMockModelServer(script, { port = 0 } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let data = '';
+    for await (const chunk of req) data += chunk;
+    const body = JSON.parse(data || '{}');
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+    const reply = await script(body, requests.length - 1);
+    if (typeof reply.status === 'number') {
+      res.writeHead(reply.status, { 'Content-Type': 'text/plain' });
+      res.end(reply.text || 'error');
+      return;
+    }
+    if (reply.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const event of reply.stream) {
+        res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply));
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Upstream response holding one assistant message
+ */
+function messageResponse(text) {
+  return {
+    object: 'response',
+    status: 'completed',
+    output: [{ type: 'message', role: 'assistant', content: [{ type: 'output_text', text }] }],
+    usage: { input_tokens: 10, output_tokens: 5, total_tokens: 15 }
+  };
+}
+
+/**
+ * Upstream response asking for one function call
+ */
+function functionCallResponse(name, args, callId = `call_${name}`) {
+  return {
+    object: 'response',
+    status: 'completed',
+    output: [{ type: 'function_call', id: `fc_${callId}`, call_id: callId, name, arguments: JSON.stringify(args) }],
+    usage: { input_tokens: 10, output_tokens: 3, total_tokens: 13 }
+  };
+}
+
+/**
+ * The SSE events an upstream server streams for a complete response
+ */
+function streamEvents(response) {
+  const events = [{ type: 'response.created', response: { ...response, status: 'in_progress', output: [] } }];
+  response.output.forEach((item, outputIndex) => {
+    const itemId = item.id || `msg_${outputIndex}`;
+    if (item.type === 'message') {
+      events.push({ type: 'response.output_item.added', output_index: outputIndex, item: { ...item, id: itemId, content: [] } });
+      for (const part of item.content) {
+        events.push({ type: 'response.output_text.delta', item_id: itemId, output_index: outputIndex, content_index: 0, delta: part.text });
+      }
+    } else {
+      events.push({ type: 'response.output_item.added', output_index: outputIndex, item: { ...item, arguments: '' } });
+      events.push({ type: 'response.function_call_arguments.delta', item_id: itemId, output_index: outputIndex, delta: item.arguments });
+    }
+    events.push({ type: 'response.output_item.done', output_index: outputIndex, item: { ...item, id: itemId } });
+  });
+  events.push({ type: 'response.completed', response });
+  return events.map((event, index) => ({ ...event, sequence_number: index }));
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PORT) || 8788;
+  startMockModelServer(() => messageResponse('This is a reply from the mock model server.'), { port })
+    .then(({ url }) => console.log(`Mock model server listening on ${url}`));
+}
+
+module.exports = { startMockModelServer, messageResponse, functionCallResponse, streamEvents };
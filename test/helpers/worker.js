@@ -0,0 +1,84 @@
+/**
+ * Loads the Worker entry point (src/index.js) for tests. It mixes require() with ES module
+ * exports the way wrangler expects, so Node cannot load it directly: it is bundled in memory
+ * with esbuild (the bundler wrangler uses) and imported from the result.
+ * Each call gets its own copy, with its own module-level state.
+ */
+
+const path = require('node:path');
+const esbuild = require('esbuild');
+
+let bundled; // Source is the same for the whole run; only the import is repeated
+
+async function loadWorker() {
+  if (!bundled) {
+    const result = await esbuild.build({
+      entryPoints: [path.join(__dirname, '../../src/index.js')],
+      bundle: true,
+      format: 'esm',
+      platform: 'neutral',
+      mainFields: ['main', 'module'],
+      write: false,
+      logLevel: 'silent'
+    });
+    bundled = Buffer.from(result.outputFiles[0].text).toString('base64');
+  }
+  // A distinct URL per call, so module state is not shared between test files that want a fresh copy
+  return import(`data:text/javascript;base64,${bundled}#${Math.random()}`);
+}
+
+/**
+ * Minimal ExecutionContext; drain() waits for everything passed to waitUntil
+ */
+function executionContext() {
+  const pending = [];
+  return {
+    waitUntil: (promise) => pending.push(Promise.resolve(promise)),
+    passThroughOnException() {},
+    drain: async () => {
+      while (pending.length) await pending.shift();
+    }
+  };
+}
+
+/**
+ * In-memory Durable Object namespace: one instance of the class per idFromName name,
+ * with a Map-backed storage. env is read when an instance is first created.
+ */
+class MockDurableObjectNamespace {
+  constructor(ObjectClass, env = {}) {
+    this.ObjectClass = ObjectClass;
+    this.env = env;
+    this.instances = new Map();
+    this.requests = 0;
+  }
+
+  idFromName(name) {
+    return { name, toString: () => name };
+  }
+
+  get(id) {
+    if (!this.instances.has(id.name)) {
+      const values = new Map();
+      const state = {
+        id,
+        storage: {
+          get: async (key) => structuredClone(values.get(key)),
+          put: async (key, value) => { values.set(key, structuredClone(value)); },
+          delete: async (key) => values.delete(key)
+        },
+        waitUntil() {}
+      };
+      this.instances.set(id.name, new this.ObjectClass(state, this.env));
+    }
+    const instance = this.instances.get(id.name);
+    return {
+      fetch: async (input, init) => {
+        this.requests++;
+        return instance.fetch(input instanceof Request ? input : new Request(input, init));
+      }
+    };
+  }
+}
+
+module.exports = { loadWorker, executionContext, MockDurableObjectNamespace };
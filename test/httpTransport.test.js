@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MCPCoordinator } = require('../src/mcp/mcpCoordinator');
+const { startMockMcpServer, cannedReply } = require('./helpers/mockMcpServer');
+const { MockKV } = require('./helpers/kv');
+
+test('tool calls POST { endpoint, query } to the URL and keep its path and query string', async (t) => {
+  const server = await startMockMcpServer(cannedReply);
+  t.after(() => server.close());
+  const coordinator = new MCPCoordinator({ MLB_MCP_URL: `${server.url}/mcp/?region=us` });
+
+  const result = await coordinator.callTool('get_team_info', { sport: 'mlb', teamId: '147' });
+
+  assert.equal(result.teams[0].name, 'New York Yankees');
+  assert.equal(server.requests[0].method, 'POST');
+  assert.equal(server.requests[0].path, '/mcp/?region=us');
+  assert.equal(server.requests[0].body.endpoint, 'team');
+
+  const health = await coordinator.healthCheck();
+  assert.equal(health.mlb.status, 'healthy');
+  assert.equal(health.mlb.transport, 'http');
+  assert.equal(server.requests.at(-1).path, '/mcp/health?region=us');
+});
+
+test('<BINDING>_TOKEN goes to the env URL', async (t) => {
+  const server = await startMockMcpServer(cannedReply);
+  t.after(() => server.close());
+  const coordinator = new MCPCoordinator({
+    MLB_MCP_URL: server.url,
+    MLB_MCP_TOKEN: 'secret',
+    MLB_MCP_AUTH_HEADER: 'X-API-Key'
+  });
+
+  await coordinator.callTool('get_team_info', { sport: 'mlb', teamId: '147' });
+
+  assert.equal(server.requests[0].headers['x-api-key'], 'secret');
+});
+
+test('<BINDING>_TOKEN is not sent to a URL from the KV config', async (t) => {
+  const server = await startMockMcpServer(cannedReply);
+  t.after(() => server.close());
+  const kv = new MockKV();
+  await kv.put('config:sports', JSON.stringify({ mlb: { url: `${server.url}/elsewhere` } }));
+  const coordinator = new MCPCoordinator({
+    SPORTS_CACHE: kv,
+    MLB_MCP_URL: 'http://127.0.0.1:9/unused',
+    MLB_MCP_TOKEN: 'secret'
+  });
+
+  await coordinator.callTool('get_team_info', { sport: 'mlb', teamId: '147' });
+
+  assert.equal(server.requests[0].path, '/elsewhere');
+  assert.equal(server.requests[0].headers.authorization, undefined);
+});
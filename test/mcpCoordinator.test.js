@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MCPCoordinator } = require('../src/mcp/mcpCoordinator');
+
+/**
+ * MLB_MCP stand-in whose calls stay open until release() is called
+ */
+function heldService() {
+  const pending = [];
+  return {
+    pending,
+    started: () => pending.length,
+    release: () => pending.shift()(),
+    fetch: (input, init) => new Promise((resolve, reject) => {
+      pending.push(() => resolve(Response.json({ id: 147 })));
+      init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+    })
+  };
+}
+
+// Limiters live at module scope, so every test here shares MLB_MCP's limit of 1
+const env = (service) => ({ MLB_MCP: service, MLB_MCP_MAX_CONCURRENCY: '1', MCP_MAX_RETRIES: '0' });
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('the concurrency limit holds across coordinators', async () => {
+  const service = heldService();
+  const first = new MCPCoordinator(env(service)).callTool('get_team_info', { teamId: '147' });
+  const second = new MCPCoordinator(env(service)).callTool('get_team_info', { teamId: '121' });
+
+  await tick();
+  assert.equal(service.started(), 1, 'the second coordinator waited for the slot');
+
+  service.release();
+  await first;
+  await tick();
+  assert.equal(service.started(), 1);
+  service.release();
+  await second;
+});
+
+test('an aborted caller leaves the queue without taking a slot', async () => {
+  const service = heldService();
+  const coordinator = new MCPCoordinator(env(service));
+  const controller = new AbortController();
+
+  const running = coordinator.callTool('get_team_info', { teamId: '147' });
+  const queued = coordinator.callTool('get_team_info', { teamId: '121' }, { signal: controller.signal });
+  const next = coordinator.callTool('get_team_info', { teamId: '111' });
+  await tick();
+
+  controller.abort(new Error('client went away'));
+  await assert.rejects(queued, /client went away/);
+
+  service.release();
+  await running;
+  await tick();
+  assert.equal(service.started(), 1, 'the slot passed to the next live waiter');
+  service.release();
+  await next;
+});
+
+test('an already aborted signal is rejected before queueing', async () => {
+  const service = heldService();
+  const coordinator = new MCPCoordinator(env(service));
+
+  await assert.rejects(
+    coordinator.callTool('get_team_info', { teamId: '147' }, { signal: AbortSignal.abort(new Error('gone')) }),
+    /gone/
+  );
+  assert.equal(service.started(), 0);
+});
+
+test('200 error bodies are deterministic only with a structured code or not-found wording', async () => {
+  const cases = [
+    [{ error: 'Team not found' }, 'not_found', false],
+    [{ error: 'Player 999 does not exist' }, 'not_found', false],
+    [{ error: { code: 'INVALID_ARGUMENT', message: 'teamId must be numeric' } }, 'invalid_request', false],
+    [{ error: { status: 404, message: 'No roster' } }, 'not_found', false],
+    [{ error: { status: 503, message: 'Upstream busy' } }, 'upstream_error', true],
+    [{ error: 'Unknown error' }, 'upstream_error', true],
+    [{ error: 'missing response from stats API' }, 'upstream_error', true],
+    [{ error: 'invalid upstream reply' }, 'upstream_error', true]
+  ];
+  for (const [body, code, retryable] of cases) {
+    const coordinator = new MCPCoordinator({ MLB_MCP: { fetch: async () => Response.json(body) }, MCP_MAX_RETRIES: '0' });
+    await assert.rejects(coordinator.callTool('get_team_info', { teamId: '147' }), (error) => {
+      assert.equal(error.code, code, JSON.stringify(body));
+      assert.equal(error.retryable, retryable, JSON.stringify(body));
+      return true;
+    });
+  }
+});
+
+test('retries stop once another attempt could outlast MCP_RETRY_BUDGET', async () => {
+  let calls = 0;
+  const slowFailure = {
+    fetch: async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return new Response('busy', { status: 503 });
+    }
+  };
+  const coordinator = new MCPCoordinator({
+    MLB_MCP: slowFailure,
+    MCP_MAX_RETRIES: '5',
+    MCP_RETRY_BASE_MS: '1',
+    MCP_TIMEOUT: '0.2',
+    MCP_RETRY_BUDGET: '0.45'
+  });
+
+  await assert.rejects(coordinator.callTool('get_team_info', { teamId: '147' }), { code: 'upstream_error' });
+  assert.equal(calls, 3, 'a fourth attempt could not time out within the budget');
+});
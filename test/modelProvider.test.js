@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ModelProvider } = require('../src/openai/modelProvider');
+const { startMockModelServer, messageResponse } = require('./helpers/mockModelServer');
+
+test('createResponse posts to /responses with the key, tools and store: false', async (t) => {
+  const server = await startMockModelServer(() => messageResponse('Hello'));
+  t.after(() => server.close());
+  const provider = new ModelProvider({ MODEL_API_BASE_URL: `${server.url}/`, MODEL_API_KEY: 'sk-test', MODEL_NAME: 'mock-model' });
+
+  const response = await provider.createResponse({
+    model: 'gpt-4.1',
+    input: [{ role: 'user', content: 'Hi' }],
+    tools: [{ type: 'function', name: 'get_team_info' }],
+    temperature: 0.2
+  });
+
+  assert.equal(provider.getOutputText(response), 'Hello');
+  const [request] = server.requests;
+  assert.equal(request.url, '/v1/responses');
+  assert.equal(request.headers.authorization, 'Bearer sk-test');
+  assert.equal(request.body.model, 'mock-model');
+  assert.equal(request.body.store, false);
+  assert.equal(request.body.temperature, 0.2);
+  assert.deepEqual(request.body.tools, [{ type: 'function', name: 'get_team_info' }]);
+});
+
+test('createResponse leaves out an empty tools list', async (t) => {
+  const server = await startMockModelServer(() => messageResponse('Hello'));
+  t.after(() => server.close());
+  const provider = new ModelProvider({ MODEL_API_BASE_URL: server.url });
+
+  await provider.createResponse({ model: 'gpt-4.1', input: [], tools: [] });
+
+  assert.equal('tools' in server.requests[0].body, false);
+  assert.equal(server.requests[0].headers.authorization, undefined);
+});
+
+test('createResponse surfaces upstream errors as 502', async (t) => {
+  const server = await startMockModelServer(() => ({ status: 429, text: 'slow down' }));
+  t.after(() => server.close());
+  const provider = new ModelProvider({ MODEL_API_BASE_URL: server.url });
+
+  await assert.rejects(
+    provider.createResponse({ model: 'gpt-4.1', input: [] }),
+    (error) => error.status === 502 && error.message.includes('429 - slow down')
+  );
+});
+
+test('streamResponse yields each SSE event and skips [DONE]', async (t) => {
+  const events = [
+    { type: 'response.created', sequence_number: 0 },
+    { type: 'response.output_text.delta', sequence_number: 1, delta: 'Hel' },
+    { type: 'response.output_text.delta', sequence_number: 2, delta: 'lo\n\nthere' },
+    { type: 'response.completed', sequence_number: 3 }
+  ];
+  const server = await startMockModelServer(() => ({ stream: events }));
+  t.after(() => server.close());
+  const provider = new ModelProvider({ MODEL_API_BASE_URL: server.url });
+
+  const received = [];
+  for await (const event of provider.streamResponse({ model: 'gpt-4.1', input: [] })) {
+    received.push(event);
+  }
+
+  assert.deepEqual(received, events);
+  assert.equal(server.requests[0].body.stream, true);
+});
+
+test('_parseSSEEvent joins multi-line data and ignores other fields', () => {
+  const provider = new ModelProvider({});
+
+  assert.deepEqual(provider._parseSSEEvent('event: message\ndata: {"a":\ndata: 1}\nid: 7'), { a: 1 });
+  assert.equal(provider._parseSSEEvent(': keep-alive'), null);
+  assert.equal(provider._parseSSEEvent('data: [DONE]'), null);
+});
@@ -0,0 +1,228 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ResponsesAPIOrchestrator } = require('../src/mcp/orchestrator');
+const { startMockModelServer, messageResponse, functionCallResponse, streamEvents } = require('./helpers/mockModelServer');
+
+/**
+ * Text of the response's assistant message
+ */
+function outputText(response) {
+  return response.output.find(item => item.type === 'message').content[0].text;
+}
+
+/**
+ * Final response object from a streamed /responses body
+ */
+async function streamedResponse(response) {
+  const events = (await response.text()).split('\n\n').filter(Boolean)
+    .map(block => JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).substring(6)));
+  return events.find(event => event.type === 'response.completed' || event.type === 'response.incomplete').response;
+}
+
+/**
+ * Output items without their generated IDs
+ */
+function withoutIds(output) {
+  return output.map(({ id, ...item }) => item);
+}
+
+/**
+ * Service binding stand-in that records the MCP payloads it receives
+ */
+function mockService(handler) {
+  const calls = [];
+  return {
+    calls,
+    fetch: async (input, init) => {
+      const body = JSON.parse(init.body);
+      calls.push(body);
+      return Response.json(await handler(body, init.signal));
+    }
+  };
+}
+
+test('the model loop runs function calls through MCP and returns the final answer', async (t) => {
+  const server = await startMockModelServer((body, index) => [
+    functionCallResponse('resolve_team', { name: 'Yankees' }),
+    messageResponse('The Yankees play in the Bronx.')
+  ][index]);
+  t.after(() => server.close());
+  const mlb = mockService(() => ({ id: 147, name: 'New York Yankees' }));
+  const orchestrator = new ResponsesAPIOrchestrator({ MODEL_API_BASE_URL: server.url, MLB_MCP: mlb });
+
+  const response = await orchestrator.processResponsesAPIRequest({
+    model: 'gpt-4.1',
+    input: 'Where do the Yankees play?',
+    store: false
+  });
+
+  assert.equal(response.status, 'completed');
+  assert.equal(outputText(response), 'The Yankees play in the Bronx.');
+  assert.equal(server.requests.length, 2);
+  assert.ok(server.requests[0].body.tools.some(tool => tool.name === 'resolve_team'));
+
+  // The second turn carries the call and its output back to the model
+  const [call, output] = server.requests[1].body.input.slice(-2);
+  assert.equal(call.type, 'function_call');
+  assert.equal(output.type, 'function_call_output');
+  assert.equal(output.call_id, call.call_id);
+  assert.equal(JSON.parse(output.output).id, 147);
+  assert.equal(mlb.calls.length, 1);
+});
+
+test('a failed tool call is reported to the model as an error output', async (t) => {
+  const server = await startMockModelServer((body, index) => [
+    functionCallResponse('get_team_info', { teamId: '147' }),
+    messageResponse('Team info is unavailable right now.')
+  ][index]);
+  t.after(() => server.close());
+  const mlb = mockService(() => ({ error: 'Team not found' }));
+  const orchestrator = new ResponsesAPIOrchestrator({ MODEL_API_BASE_URL: server.url, MLB_MCP: mlb });
+
+  const response = await orchestrator.processResponsesAPIRequest({ model: 'gpt-4.1', input: 'Yankees info', store: false });
+
+  assert.equal(outputText(response), 'Team info is unavailable right now.');
+  const output = JSON.parse(server.requests[1].body.input.at(-1).output);
+  assert.match(output.error, /Team not found/);
+  assert.equal(output.code, 'not_found');
+});
+
+test('a tripped limit completes with the limit in metadata.stop_reason', async (t) => {
+  // Keeps calling tools; asked for a final answer it has nothing to say
+  const server = await startMockModelServer((body, index) => body.tool_choice === 'none'
+    ? messageResponse('')
+    : functionCallResponse('get_team_info', { teamId: String(100 + index) }, `call_${index}`));
+  t.after(() => server.close());
+  const mlb = mockService(() => ({ id: 147 }));
+  const orchestrator = new ResponsesAPIOrchestrator({ MODEL_API_BASE_URL: server.url, MLB_MCP: mlb });
+
+  const response = await orchestrator.processResponsesAPIRequest({
+    model: 'gpt-4.1', input: 'Team info', store: false, max_tool_calls: 1, metadata: { client: 'test' }
+  });
+
+  assert.equal(response.status, 'completed');
+  assert.equal(response.incomplete_details, null);
+  assert.deepEqual(response.metadata, { client: 'test', stop_reason: 'max_tool_calls' });
+  assert.equal(mlb.calls.length, 1);
+  // The fallback answer lists the gathered results on separate lines
+  const fallback = response.output.filter(item => item.type === 'message').at(-1);
+  assert.equal(fallback.content[0].text, 'get_team_info: {\n  "id": 147\n}');
+});
+
+test('a final answer after a tripped limit still reports the limit', async (t) => {
+  const server = await startMockModelServer((body, index) => body.tool_choice === 'none'
+    ? messageResponse('The Yankees are team 147.')
+    : functionCallResponse('get_team_info', { teamId: String(100 + index) }, `call_${index}`));
+  t.after(() => server.close());
+  const mlb = mockService(() => ({ id: 147 }));
+  const orchestrator = new ResponsesAPIOrchestrator({ MODEL_API_BASE_URL: server.url, MLB_MCP: mlb });
+
+  const response = await orchestrator.processResponsesAPIRequest({
+    model: 'gpt-4.1', input: 'Team info', store: false, max_tool_calls: 2
+  });
+
+  assert.equal(response.status, 'completed');
+  assert.equal(outputText(response), 'The Yankees are team 147.');
+  assert.equal(response.metadata.stop_reason, 'max_tool_calls');
+});
+
+test('RESPONSE_TIMEOUT aborts tool calls still in flight', async (t) => {
+  const server = await startMockModelServer((body) => body.tool_choice === 'none'
+    ? messageResponse('')
+    : functionCallResponse('get_team_info', { teamId: '147' }));
+  t.after(() => server.close());
+  // Never answers; only an abort ends the call
+  const mlb = mockService((body, signal) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  }));
+  const orchestrator = new ResponsesAPIOrchestrator({
+    MODEL_API_BASE_URL: server.url, MLB_MCP: mlb, RESPONSE_TIMEOUT: '1', MCP_TIMEOUT: '30'
+  });
+
+  const startedAt = Date.now();
+  const response = await orchestrator.processResponsesAPIRequest({ model: 'gpt-4.1', input: 'Team info', store: false });
+
+  assert.ok(Date.now() - startedAt < 5000, 'the tool call was not cut off by the budget');
+  assert.equal(response.status, 'completed');
+  assert.equal(response.metadata.stop_reason, 'budget_exceeded');
+});
+
+test('streamed and non-streamed responses have the same output, with server-run calls as mcp_call items', async (t) => {
+  const replies = [
+    functionCallResponse('resolve_team', { name: 'Yankees' }),
+    messageResponse('The Yankees play in the Bronx.')
+  ];
+  const server = await startMockModelServer((body, index) => {
+    const reply = replies[index % 2];
+    return body.stream ? { stream: streamEvents(reply) } : reply;
+  });
+  t.after(() => server.close());
+  const mlb = mockService(() => ({ id: 147, name: 'New York Yankees' }));
+  const orchestrator = new ResponsesAPIOrchestrator({ MODEL_API_BASE_URL: server.url, MLB_MCP: mlb });
+  const request = { model: 'gpt-4.1', input: 'Where do the Yankees play?', store: false };
+
+  const plain = await orchestrator.processResponsesAPIRequest(request);
+  const streamed = await streamedResponse(await orchestrator.processResponsesAPIRequest({ ...request, stream: true }));
+
+  assert.deepEqual(withoutIds(streamed.output), withoutIds(plain.output));
+  assert.deepEqual(plain.output.map(item => item.type), ['mcp_call', 'message']);
+  assert.equal(plain.output.some(item => item.type === 'function_call'), false);
+  assert.equal(plain.output[0].name, 'resolve_team');
+  assert.equal(plain.output[0].status, 'completed');
+  assert.deepEqual(JSON.parse(plain.output[0].output), { id: 147, name: 'New York Yankees', sport: 'mlb' });
+});
+
+test('heuristic tool calls produce the same output in both modes', async () => {
+  const mlb = mockService(() => ({ id: 147, name: 'New York Yankees' }));
+  const orchestrator = new ResponsesAPIOrchestrator({ MLB_MCP: mlb });
+  const request = {
+    model: 'gpt-4.1',
+    input: 'Show me the Yankees roster',
+    tools: ['resolve_team', 'get_team_roster'].map(name => ({ type: 'function', function: { name } })),
+    store: false
+  };
+
+  const plain = await orchestrator.processResponsesAPIRequest(request);
+  const streamed = await streamedResponse(await orchestrator.processResponsesAPIRequest({ ...request, stream: true }));
+
+  assert.deepEqual(withoutIds(streamed.output), withoutIds(plain.output));
+  assert.deepEqual(plain.output.map(item => item.type), ['mcp_call', 'message', 'mcp_call', 'message']);
+  assert.equal(mlb.calls.length, 4, 'each mode called both tools');
+});
+
+test('only client-supplied temperature and parallel_tool_calls are sent upstream', async (t) => {
+  const server = await startMockModelServer(() => messageResponse('Hi'));
+  t.after(() => server.close());
+  const orchestrator = new ResponsesAPIOrchestrator({ MODEL_API_BASE_URL: server.url });
+
+  const response = await orchestrator.processResponsesAPIRequest({ model: 'gpt-4.1', input: 'Hi', store: false });
+  await orchestrator.processResponsesAPIRequest({
+    model: 'gpt-4.1', input: 'Hi', store: false, temperature: 0.3, parallel_tool_calls: false
+  });
+
+  assert.equal('temperature' in server.requests[0].body, false);
+  assert.equal('parallel_tool_calls' in server.requests[0].body, false);
+  assert.equal(response.temperature, 1, 'the response still echoes the defaults');
+  assert.equal(response.parallel_tool_calls, true);
+  assert.equal(server.requests[1].body.temperature, 0.3);
+  assert.equal(server.requests[1].body.parallel_tool_calls, false);
+});
+
+test('tool_choice "required" without a matching tool is rejected on the heuristic path', async () => {
+  const orchestrator = new ResponsesAPIOrchestrator({});
+  const tools = [{ type: 'function', function: { name: 'get_standings' } }];
+
+  await assert.rejects(
+    orchestrator.processResponsesAPIRequest({ model: 'gpt-4.1', input: 'Hello there', tools, tool_choice: 'required', store: false }),
+    (error) => error.status === 400 && /tool_choice/.test(error.message)
+  );
+  await assert.rejects(
+    orchestrator.processResponsesAPIRequest({
+      model: 'gpt-4.1', input: 'Hello there', tools, tool_choice: { type: 'function', name: 'get_standings' }, store: false
+    }),
+    (error) => error.status === 400
+  );
+
+  const response = await orchestrator.processResponsesAPIRequest({ model: 'gpt-4.1', input: 'Hello there', tools, store: false });
+  assert.equal(response.status, 'completed');
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CachePrewarmer } = require('../src/cache/prewarm');
+const { CacheManager } = require('../src/cache/manager');
+const { MockKV } = require('./helpers/kv');
+
+const HOUR = 3600 * 1000;
+
+/**
+ * MLB_MCP binding answering schedule and standings calls; games start firstPitch ms from now
+ */
+function mlbService(now, firstPitch) {
+  const service = {
+    calls: [],
+    fetch: async (input, init) => {
+      const { endpoint } = JSON.parse(init.body);
+      service.calls.push(endpoint);
+      if (endpoint === 'schedule') {
+        return Response.json({
+          games: [0, 3 * HOUR].map((offset, index) => ({
+            id: 746012 + index,
+            date: new Date(now + firstPitch + offset).toISOString(),
+            status: 'Scheduled',
+            homeTeam: { id: 147 },
+            awayTeam: { id: 121 }
+          }))
+        });
+      }
+      return Response.json({ records: [{ division: 'AL East', teams: [] }] });
+    }
+  };
+  return service;
+}
+
+function setup(t, firstPitch) {
+  let now = Date.parse('2025-07-04T16:00:00Z'); // The morning cron, in season
+  t.mock.method(Date, 'now', () => now);
+  const service = mlbService(now, firstPitch);
+  const env = { SPORTS_CACHE: new MockKV(), MLB_MCP: service, PREWARM_SPORTS: 'mlb', PREWARM_TEAM_COUNT: '0' };
+  return { env, service, advance: (ms) => { now += ms; } };
+}
+
+test('warmed schedule and standings are still hits until the first game starts', async (t) => {
+  const { env, service, advance } = setup(t, 7 * HOUR);
+
+  const summary = await new CachePrewarmer(env).run();
+  assert.deepEqual(summary.warmed.map(call => call.tool), ['get_schedule', 'get_standings']);
+
+  advance(6.5 * HOUR);
+  const cache = new CacheManager(env);
+  const schedule = await cache.get('get_schedule', { sport: 'mlb', date: '2025-07-04' });
+  const standings = await cache.get('get_standings', { sport: 'mlb' });
+  assert.equal(schedule?.source, 'hot');
+  assert.equal(schedule.data.games.length, 2);
+  assert.equal(standings?.source, 'hot');
+  assert.deepEqual(service.calls, ['schedule', 'standings'], 'no upstream call since the cron');
+
+  advance(HOUR); // Half an hour past first pitch, and past the schedule's staleness: fetched again
+  assert.equal(await cache.get('get_schedule', { sport: 'mlb', date: '2025-07-04' }), null);
+});
+
+test('warmed entries are kept at most 12 hours', async (t) => {
+  const { env, advance } = setup(t, 20 * HOUR);
+
+  await new CachePrewarmer(env).run();
+
+  const cache = new CacheManager(env);
+  advance(11 * HOUR);
+  assert.equal((await cache.get('get_standings', { sport: 'mlb' }))?.source, 'hot');
+  advance(2 * HOUR);
+  assert.notEqual((await cache.get('get_standings', { sport: 'mlb' }))?.source, 'hot');
+});
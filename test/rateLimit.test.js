@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { slidingWindow, tokenBucket } = require('../src/auth/rateLimit');
+
+// Start of a 60s window, so tests control how far into it they are
+const WINDOW_START = 1_800_000_000_000 - (1_800_000_000_000 % 60000);
+
+/**
+ * Run n checks at `now`, threading state through; returns the last result and state
+ */
+function run(apply, state, n, limit, window, now) {
+  let outcome = { state };
+  for (let i = 0; i < n; i++) {
+    outcome = apply(outcome.state, limit, window, now);
+  }
+  return outcome;
+}
+
+test('sliding window allows up to the limit, then rejects until the window ends', () => {
+  let { state, result } = run(slidingWindow, undefined, 5, 5, 60, WINDOW_START + 1000);
+  assert.deepEqual(result, { allowed: true, remaining: 0, reset: (WINDOW_START + 60000) / 1000 });
+
+  ({ state, result } = slidingWindow(state, 5, 60, WINDOW_START + 1000));
+  assert.equal(result.allowed, false);
+  assert.equal(result.retryAfter, 59);
+  assert.equal(state.current, 5, 'rejected calls are not counted');
+});
+
+test('sliding window weights the previous window by its overlap', () => {
+  const { state } = run(slidingWindow, undefined, 10, 10, 60, WINDOW_START + 30000);
+
+  // A quarter into the next window, 75% of the previous 10 calls still count
+  let next = slidingWindow(state, 10, 60, WINDOW_START + 75000);
+  assert.equal(next.result.allowed, true);
+  assert.equal(next.result.remaining, 1);
+  assert.deepEqual(next.state, { windowStart: WINDOW_START + 60000, current: 1, previous: 10 });
+
+  next = run(slidingWindow, next.state, 2, 10, 60, WINDOW_START + 75000);
+  assert.equal(next.result.allowed, false);
+  // 7.5 + 3 = 10.5 -> 0.5 over; the previous window drains 10 per 60s, so 3s
+  assert.equal(next.result.retryAfter, 3);
+});
+
+test('sliding window forgets counts older than one window', () => {
+  const { state } = run(slidingWindow, undefined, 10, 10, 60, WINDOW_START);
+  const { state: next, result } = slidingWindow(state, 10, 60, WINDOW_START + 120000);
+
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 9);
+  assert.equal(next.previous, 0);
+});
+
+test('token bucket starts full and refills evenly', () => {
+  let { state, result } = run(tokenBucket, undefined, 10, 10, 60, WINDOW_START);
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 0);
+
+  ({ state, result } = tokenBucket(state, 10, 60, WINDOW_START));
+  assert.equal(result.allowed, false);
+  assert.equal(result.retryAfter, 6, 'one token takes 6s at 10 per minute');
+
+  // 12s later two tokens are back
+  ({ state, result } = tokenBucket(state, 10, 60, WINDOW_START + 12000));
+  assert.equal(result.allowed, true);
+  assert.equal(result.remaining, 1);
+  assert.equal(result.reset, (WINDOW_START + 12000 + 54000) / 1000);
+});
+
+test('token bucket never refills past capacity', () => {
+  const { state } = tokenBucket(undefined, 5, 60, WINDOW_START);
+  const { result } = tokenBucket(state, 5, 60, WINDOW_START + 3600000);
+
+  assert.equal(result.remaining, 4);
+});
+
+test('token bucket does not modify the stored state it is given', () => {
+  const stored = { tokens: 3, updatedAt: WINDOW_START };
+  tokenBucket(stored, 5, 60, WINDOW_START + 1000);
+
+  assert.deepEqual(stored, { tokens: 3, updatedAt: WINDOW_START });
+});
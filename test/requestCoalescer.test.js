@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MockKV } = require('./helpers/kv');
+const { ToolHandler } = require('../src/intelligence/toolHandler');
+const { CacheManager } = require('../src/cache/manager');
+const { loadWorker, MockDurableObjectNamespace } = require('./helpers/worker');
+
+/**
+ * MLB_MCP service binding whose calls stay open until release(); reply() gives each body
+ */
+function heldService(reply = () => Response.json({ id: 147, name: 'New York Yankees' })) {
+  const pending = [];
+  const service = {
+    calls: 0,
+    signals: [],
+    release: () => pending.shift()(),
+    fetch: (input, init) => new Promise((resolve, reject) => {
+      service.calls++;
+      service.signals.push(init.signal);
+      pending.push(() => resolve(reply()));
+      init.signal?.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+    })
+  };
+  return service;
+}
+
+async function coalescer(service, extraEnv = {}) {
+  const { RequestCoalescer } = await loadWorker();
+  const env = { MLB_MCP: service, SPORTS_CACHE: new MockKV(), MCP_MAX_RETRIES: '0', ...extraEnv };
+  const namespace = new MockDurableObjectNamespace(RequestCoalescer, env);
+  const stub = namespace.get(namespace.idFromName('sports:v1:mlb:get_team_info:abc'));
+  return {
+    namespace,
+    fetch: (signal) => stub.fetch('https://request-coalescer/fetch', {
+      method: 'POST',
+      body: JSON.stringify({ tool: 'get_team_info', args: { sport: 'mlb', teamId: '147' } }),
+      signal
+    })
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+const waitForCalls = async (service, calls) => {
+  while (service.calls < calls) await tick();
+};
+
+test('concurrent requests share one fetch; the result is held for COALESCE_HOLD', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const service = heldService();
+  const { fetch } = await coalescer(service, { COALESCE_HOLD: '5' });
+
+  const first = fetch();
+  const second = fetch();
+  await waitForCalls(service, 1);
+  service.release();
+  const bodies = await Promise.all([(await first).json(), (await second).json()]);
+
+  assert.equal(service.calls, 1);
+  assert.deepEqual(bodies.map(body => body.meta.coalesced), [false, true]);
+  assert.equal(bodies[1].data.name, 'New York Yankees');
+
+  now += 4000;
+  assert.equal((await (await fetch()).json()).meta.coalesced, true, 'inside the hold');
+  assert.equal(service.calls, 1);
+
+  now += 2000;
+  const later = fetch();
+  await waitForCalls(service, 2);
+  service.release();
+  assert.equal((await (await later).json()).meta.coalesced, false, 'the hold is over');
+});
+
+test('the hold never outlasts the result\'s TTL', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const service = heldService(() => Response.json({ gamePk: 746012 }));
+  const { RequestCoalescer } = await loadWorker();
+  const namespace = new MockDurableObjectNamespace(RequestCoalescer, {
+    MLB_MCP: service, SPORTS_CACHE: new MockKV(), MCP_MAX_RETRIES: '0', COALESCE_HOLD: '60'
+  });
+  const stub = namespace.get(namespace.idFromName('live'));
+  const fetch = () => stub.fetch('https://request-coalescer/fetch', {
+    method: 'POST',
+    body: JSON.stringify({ tool: 'get_live_game', args: { sport: 'mlb', gamePk: '746012' } })
+  });
+
+  const first = fetch();
+  await waitForCalls(service, 1);
+  service.release();
+  const { meta } = await (await first).json();
+
+  now += (meta.ttl + 1) * 1000;
+  const next = fetch();
+  await waitForCalls(service, 2);
+  service.release();
+  assert.equal((await (await next).json()).meta.coalesced, false);
+});
+
+test('failures keep their status, code and retryability', async () => {
+  // An upstream 5xx is reported as a 502 from the proxy
+  for (const [upstream, status, code, retryable] of [[404, 404, 'not_found', false], [503, 502, 'upstream_error', true]]) {
+    const service = heldService(() => new Response('nope', { status: upstream }));
+    const { fetch } = await coalescer(service);
+
+    const pending = fetch();
+    await waitForCalls(service, 1);
+    service.release();
+    const response = await pending;
+
+    assert.equal(response.status, status);
+    const body = await response.json();
+    assert.deepEqual([body.code, body.status, body.retryable], [code, status, retryable]);
+  }
+});
+
+test('the calling isolate rethrows the classified error', async () => {
+  const { RequestCoalescer } = await loadWorker();
+  const service = heldService(() => new Response('No such team', { status: 404 }));
+  const env = { MLB_MCP: service, SPORTS_CACHE: new MockKV(), MCP_MAX_RETRIES: '0' };
+  env.REQUEST_COALESCER = new MockDurableObjectNamespace(RequestCoalescer, env);
+  const handler = new ToolHandler(env, { callTool: () => assert.fail('fetched in the isolate') }, new CacheManager(env));
+
+  const pending = handler.executeTool('get_team_info', { sport: 'mlb', teamId: '999' });
+  await waitForCalls(service, 1);
+  service.release();
+
+  await assert.rejects(pending, { code: 'not_found', status: 404, retryable: false });
+  assert.equal(env.REQUEST_COALESCER.requests, 1);
+});
+
+test('the fetch is cancelled only when the last waiter disconnects', async () => {
+  const service = heldService();
+  const { fetch } = await coalescer(service);
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const responses = [fetch(first.signal), fetch(second.signal)];
+  await waitForCalls(service, 1);
+
+  first.abort(new Error('first client went away'));
+  await tick();
+  assert.equal(service.signals[0].aborted, false, 'a waiter is left');
+
+  second.abort(new Error('second client went away'));
+  await tick();
+  assert.equal(service.signals[0].aborted, true);
+  await Promise.allSettled(responses);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SingleFlight } = require('../src/cache/singleFlight');
+
+/**
+ * fn for run(): counts calls and stays pending until resolve(value); records its signal
+ */
+function heldCall() {
+  const call = { calls: 0, signal: null };
+  call.fn = (signal) => {
+    call.calls++;
+    call.signal = signal;
+    return new Promise((resolve, reject) => {
+      call.resolve = resolve;
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+  };
+  return call;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('concurrent callers with the same key share one call', async () => {
+  const flights = new SingleFlight();
+  const call = heldCall();
+
+  const first = flights.run('sports:v1:mlb:get_team_info:abc', call.fn);
+  const second = flights.run('sports:v1:mlb:get_team_info:abc', call.fn);
+  const other = flights.run('sports:v1:mlb:get_team_info:def', () => 'other');
+  await tick();
+  assert.equal(call.calls, 1);
+
+  call.resolve({ id: 147 });
+  assert.deepEqual(await first, { id: 147 });
+  assert.equal(await second, await first);
+  assert.equal(await other, 'other');
+
+  // Settled flights are forgotten; the next caller runs again
+  await flights.run('sports:v1:mlb:get_team_info:abc', async () => 'again');
+  assert.equal(call.calls, 1);
+});
+
+test('errors reach every waiter', async () => {
+  const flights = new SingleFlight();
+  const failing = () => Promise.reject(Object.assign(new Error('Service unavailable'), { code: 'upstream_error' }));
+
+  const results = await Promise.allSettled([flights.run('key', failing), flights.run('key', failing)]);
+
+  assert.deepEqual(results.map(result => result.reason.code), ['upstream_error', 'upstream_error']);
+  assert.equal(results[0].reason, results[1].reason);
+});
+
+test('the shared call is aborted only when the last waiter leaves', async () => {
+  const flights = new SingleFlight();
+  const call = heldCall();
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const leaving = flights.run('key', call.fn, first.signal);
+  const staying = flights.run('key', call.fn, second.signal);
+  await tick();
+
+  first.abort(new Error('first client went away'));
+  await assert.rejects(leaving, /first client went away/);
+  assert.equal(call.signal.aborted, false, 'a waiter is left');
+
+  second.abort(new Error('second client went away'));
+  await assert.rejects(staying, /second client went away/);
+  assert.equal(call.signal.aborted, true);
+  assert.match(call.signal.reason.message, /second client went away/);
+});
+
+test('a caller without a signal keeps the call alive', async () => {
+  const flights = new SingleFlight();
+  const call = heldCall();
+  const controller = new AbortController();
+
+  const background = flights.run('key', call.fn);
+  const request = flights.run('key', call.fn, controller.signal);
+  await tick();
+
+  controller.abort(new Error('client went away'));
+  await assert.rejects(request, /client went away/);
+  assert.equal(call.signal.aborted, false);
+
+  call.resolve('refreshed');
+  assert.equal(await background, 'refreshed');
+});
+
+test('an already aborted signal leaves at once', async () => {
+  const flights = new SingleFlight();
+  const call = heldCall();
+
+  await assert.rejects(flights.run('key', call.fn, AbortSignal.abort(new Error('gone'))), /gone/);
+  await tick();
+  assert.equal(call.signal.aborted, true, 'it was the only waiter');
+});
@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ResponseStreamEncoder } = require('../src/openai/streamEncoder');
+
+/**
+ * Encoder writing into an array; events() parses what was written
+ */
+function collectingEncoder(response = { id: 'resp_1', status: 'in_progress', output: [] }) {
+  const chunks = [];
+  const writer = { ready: Promise.resolve(), write: async (chunk) => chunks.push(new TextDecoder().decode(chunk)) };
+  const stream = new ResponseStreamEncoder(writer, new TextEncoder(), response);
+  const events = () => chunks.join('').split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    const data = JSON.parse(dataLine.substring('data: '.length));
+    assert.equal(eventLine, `event: ${data.type}`);
+    return data;
+  });
+  return { stream, events };
+}
+
+test('sequence numbers start at 0 and increase by one across every event', async () => {
+  const { stream, events } = collectingEncoder();
+
+  await stream.start();
+  const message = await stream.addMessage('msg_1');
+  await stream.textDelta(message, 'Hello');
+  await stream.textDelta(message, '');
+  await stream.textDelta(message, ' world');
+  await stream.finishMessage(message);
+  await stream.complete({ usage: null });
+
+  const written = events();
+  assert.deepEqual(written.map(event => event.sequence_number), written.map((event, index) => index));
+  assert.deepEqual(written.map(event => event.type), [
+    'response.created',
+    'response.in_progress',
+    'response.output_item.added',
+    'response.content_part.added',
+    'response.output_text.delta',
+    'response.output_text.delta',
+    'response.output_text.done',
+    'response.content_part.done',
+    'response.output_item.done',
+    'response.completed'
+  ]);
+  assert.equal(written.at(-1).response.output[0].content[0].text, 'Hello world');
+});
+
+test('tool calls are mcp_call items that finish with their output', async () => {
+  const { stream, events } = collectingEncoder();
+
+  const call = await stream.addToolCall({ id: 'mcp_1', name: 'get_team_info' });
+  await stream.toolCallArgumentsDelta(call, '{"teamId":');
+  await stream.toolCallArgumentsDelta(call, '"147"}');
+  await stream.finishToolCallArguments(call);
+  await stream.startToolCall(call);
+  await stream.finishToolCall(call, { output: '{"id":147}' });
+
+  const written = events();
+  assert.deepEqual(written.map(event => event.type), [
+    'response.output_item.added',
+    'response.mcp_call_arguments.delta',
+    'response.mcp_call_arguments.delta',
+    'response.mcp_call_arguments.done',
+    'response.mcp_call.in_progress',
+    'response.mcp_call.completed',
+    'response.output_item.done'
+  ]);
+  assert.equal(written[0].item.type, 'mcp_call');
+  assert.equal(written[3].arguments, '{"teamId":"147"}');
+  assert.deepEqual(written.at(-1).item, {
+    id: 'mcp_1',
+    type: 'mcp_call',
+    status: 'completed',
+    server_label: 'sports-proxy',
+    name: 'get_team_info',
+    arguments: '{"teamId":"147"}',
+    output: '{"id":147}',
+    error: null
+  });
+});
+
+test('a failed tool call reports mcp_call.failed with its error', async () => {
+  const { stream, events } = collectingEncoder();
+
+  const call = await stream.addToolCall({ id: 'mcp_1', name: 'get_team_info' });
+  await stream.finishToolCall(call, { error: 'Team not found' });
+
+  const [, failed, done] = events();
+  assert.equal(failed.type, 'response.mcp_call.failed');
+  assert.equal(done.item.status, 'failed');
+  assert.equal(done.item.error, 'Team not found');
+});
+
+test('output indexes follow the order items were added', async () => {
+  const { stream, events } = collectingEncoder();
+
+  const call = await stream.addToolCall({ id: 'mcp_1', name: 'resolve_team' });
+  const message = await stream.addMessage('msg_1');
+  await stream.finishMessage(message);
+  await stream.finishToolCall(call, { output: '{}' });
+
+  const done = events().filter(event => event.type === 'response.output_item.done');
+  assert.deepEqual(done.map(event => [event.output_index, event.item.id]), [[1, 'msg_1'], [0, 'mcp_1']]);
+});
+
+test('without a writer the response is built but nothing is written', async () => {
+  const stream = new ResponseStreamEncoder(null, null, { id: 'resp_1', status: 'in_progress', output: [] });
+
+  await stream.start();
+  const message = await stream.addMessage('msg_1');
+  await stream.textDelta(message, 'Hi');
+  await stream.finishMessage(message);
+  const response = await stream.complete({ status: 'incomplete' });
+
+  assert.equal(response.status, 'incomplete');
+  assert.equal(response.output[0].content[0].text, 'Hi');
+});
+
+test('complete closes items left open as incomplete before response.completed', async () => {
+  const { stream, events } = collectingEncoder();
+
+  const message = await stream.addMessage('msg_1');
+  await stream.textDelta(message, 'The Yankees');
+  const call = await stream.addToolCall({ id: 'mcp_1', name: 'get_team_roster' });
+  const response = await stream.complete({ status: 'incomplete' });
+
+  assert.deepEqual(events().slice(-5).map(event => event.type), [
+    'response.output_text.done',
+    'response.content_part.done',
+    'response.output_item.done',
+    'response.output_item.done',
+    'response.incomplete'
+  ]);
+  assert.deepEqual(response.output.map(item => item.status), ['incomplete', 'incomplete']);
+  assert.equal(response.output[0].content[0].text, 'The Yankees');
+  assert.equal(call.item.status, 'incomplete');
+});
+
+test('fail closes open items before response.failed', async () => {
+  const { stream, events } = collectingEncoder();
+
+  await stream.addMessage('msg_1');
+  await stream.fail(new Error('upstream went away'));
+
+  const [, , done, failed] = events().slice(-4);
+  assert.equal(done.type, 'response.output_item.done');
+  assert.equal(done.item.status, 'incomplete');
+  assert.equal(failed.type, 'response.failed');
+  assert.equal(failed.response.error.message, 'upstream went away');
+});
+
+test('every added item is done exactly once', async () => {
+  const { stream, events } = collectingEncoder();
+
+  const message = await stream.addMessage('msg_1');
+  await stream.finishMessage(message);
+  await stream.addMessage('msg_2');
+  await stream.complete();
+
+  const count = (type) => events().filter(event => event.type === type).map(event => event.item.id);
+  assert.deepEqual(count('response.output_item.done'), count('response.output_item.added'));
+});
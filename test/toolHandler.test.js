@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ToolHandler } = require('../src/intelligence/toolHandler');
+const { CacheManager } = require('../src/cache/manager');
+const { MCPCoordinator } = require('../src/mcp/mcpCoordinator');
+const { MockKV } = require('./helpers/kv');
+const { executionContext } = require('./helpers/worker');
+
+/**
+ * MCPCoordinator stand-in answering with reply(name, args) and recording each call
+ */
+function coordinator(reply) {
+  const calls = [];
+  return {
+    calls,
+    callTool: async (name, args) => {
+      calls.push({ name, args });
+      return reply(name, args, calls.length);
+    }
+  };
+}
+
+/**
+ * A handler over a fresh KV cache; the clock starts now and moves with advance(seconds)
+ */
+function setup(t, reply) {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const env = { SPORTS_CACHE: new MockKV() };
+  const mcp = coordinator(reply);
+  const ctx = executionContext();
+  return {
+    mcp,
+    ctx,
+    handler: new ToolHandler(env, mcp, new CacheManager(env), ctx),
+    advance: (seconds) => { now += seconds * 1000; }
+  };
+}
+
+test('a stale entry is served at once and refreshed through ctx.waitUntil', async (t) => {
+  const { handler, mcp, ctx, advance } = setup(t, (name, args, call) => ({ id: 147, wins: call }));
+  const args = { sport: 'mlb', teamId: '147' };
+
+  assert.equal((await handler.executeTool('get_team_info', args)).meta.source, 'live');
+  advance(301); // get_team_info lives 300 s, and may be served a day past that
+
+  const stale = await handler.executeTool('get_team_info', args);
+  assert.equal(stale.meta.source, 'stale');
+  assert.deepEqual(stale.data, { id: 147, wins: 1 });
+
+  await ctx.drain();
+  assert.equal(mcp.calls.length, 2, 'refreshed in the background');
+  const refreshed = await handler.executeTool('get_team_info', args);
+  assert.equal(refreshed.meta.source, 'hot');
+  assert.deepEqual(refreshed.data, { id: 147, wins: 2 });
+});
+
+test('past its max staleness an entry is a miss, fetched before answering', async (t) => {
+  const { handler, mcp, ctx, advance } = setup(t, (name, args, call) => ({ gamePk: 746012, inning: call }));
+  const args = { sport: 'mlb', gamePk: '746012' };
+
+  await handler.executeTool('get_live_game', args);
+  advance(5 + 11); // Five second TTL; ten seconds of staleness at most
+
+  const result = await handler.executeTool('get_live_game', args);
+  assert.equal(result.meta.source, 'live');
+  assert.equal(result.data.inning, 2);
+  await ctx.drain();
+  assert.equal(mcp.calls.length, 2, 'no background refresh on top');
+});
+
+test('concurrent misses for one key share an upstream call', async (t) => {
+  let release;
+  const { handler, mcp } = setup(t, () => new Promise(resolve => { release = () => resolve({ id: 121 }); }));
+  const args = { sport: 'mlb', teamId: '121' };
+
+  const calls = [handler.executeTool('get_team_roster', args), handler.executeTool('get_team_roster', args)];
+  while (!release) await new Promise(resolve => setImmediate(resolve));
+  release();
+  const [first, second] = await Promise.all(calls);
+
+  assert.equal(mcp.calls.length, 1);
+  assert.deepEqual(first.data, second.data);
+});
+
+test('a hockey team resolved earlier routes its follow-up calls to HOCKEY_MCP', async () => {
+  const calls = [];
+  const service = (sport) => ({
+    fetch: async (input, init) => {
+      const body = JSON.parse(init.body);
+      calls.push({ sport, endpoint: body.endpoint });
+      return Response.json(body.endpoint === 'team' ? { id: 6, name: 'Boston Bruins' } : { roster: [] });
+    }
+  });
+  const env = { SPORTS_CACHE: new MockKV(), MLB_MCP: service('mlb'), HOCKEY_MCP: service('hockey') };
+  const handler = new ToolHandler(env, new MCPCoordinator(env), new CacheManager(env));
+
+  // Same turn: the roster call waits for the resolver and takes its ID and sport
+  const [resolved, roster] = await handler.processToolCalls([
+    { name: 'resolve_team', arguments: { name: 'Bruins', sport: 'hockey' } },
+    { name: 'get_team_roster', arguments: {} }
+  ]);
+  assert.deepEqual(resolved.result, { id: 6, name: 'Boston Bruins', sport: 'hockey' });
+  assert.equal(roster.success, true);
+
+  // Later turn: only the stored entity says the bare teamId is a hockey team
+  const entities = handler.extractResolvedEntities([resolved]);
+  const [followUp] = await handler.processToolCalls([
+    { name: 'get_team_roster', arguments: { teamId: '6', season: '2025' } }
+  ], entities);
+  assert.equal(followUp.success, true);
+
+  assert.deepEqual(calls, [
+    { sport: 'hockey', endpoint: 'team' },
+    { sport: 'hockey', endpoint: 'roster' },
+    { sport: 'hockey', endpoint: 'roster' }
+  ]);
+  const rosterKeys = [...env.SPORTS_CACHE.entries.keys()].filter(key => key.startsWith('sports:') && key.includes(':get_team_roster:'));
+  assert.equal(rosterKeys.length, 2);
+  assert.ok(rosterKeys.every(key => /^sports:v\d+:hockey:get_team_roster:/.test(key)), rosterKeys.join(', '));
+});
+
+test('an open circuit serves stored copies only within the tool\'s outage staleness', async (t) => {
+  const outage = () => {
+    throw Object.assign(new Error('HOCKEY_MCP circuit is open'), { code: 'circuit_open', status: 503, retryable: true });
+  };
+  const { handler, advance } = setup(t, (name, args, call) => (call <= 3 ? { id: 6, call } : outage()));
+  await handler.executeTool('get_team_roster', { sport: 'hockey', teamId: '6' });
+  await handler.executeTool('get_standings', { sport: 'hockey' });
+  await handler.executeTool('get_live_game', { sport: 'hockey', gameId: '2025020001' });
+
+  advance(20 * 3600); // Past every max staleness but the roster's
+  const roster = await handler.executeTool('get_team_roster', { sport: 'hockey', teamId: '6' });
+  assert.equal(roster.meta.source, 'stale');
+  const standings = await handler.executeTool('get_standings', { sport: 'hockey' });
+  assert.deepEqual([standings.meta.source, standings.meta.circuit], ['stale', 'open']);
+  await assert.rejects(handler.executeTool('get_live_game', { sport: 'hockey', gameId: '2025020001' }), { code: 'circuit_open' });
+
+  advance(6 * 3600); // Standings are a day past their TTL
+  await assert.rejects(handler.executeTool('get_standings', { sport: 'hockey' }), { code: 'circuit_open' });
+});
@@ -0,0 +1,64 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ToolLoopGuard } = require('../src/openai/toolLoopGuard');
+
+test('allows calls up to maxToolCalls, then stops with max_tool_calls', () => {
+  const guard = new ToolLoopGuard({ maxToolCalls: 2, budgetMs: 60000 });
+
+  assert.deepEqual(guard.registerCall('get_team_info', { teamId: '147' }), { allowed: true });
+  assert.deepEqual(guard.registerCall('get_team_info', { teamId: '121' }), { allowed: true });
+  assert.equal(guard.shouldStop(), false);
+
+  const check = guard.registerCall('get_team_info', { teamId: '111' });
+  assert.equal(check.allowed, false);
+  assert.match(check.message, /limit \(2\)/);
+  assert.equal(guard.stopReason, 'max_tool_calls');
+  assert.equal(guard.shouldStop(), true);
+});
+
+test('rejects repeated calls regardless of argument order, stopping after maxRepeats', () => {
+  const guard = new ToolLoopGuard({ maxToolCalls: 10, budgetMs: 60000, maxRepeats: 2 });
+
+  guard.registerCall('get_schedule', { teamId: '147', date: '2026-04-01' });
+  const first = guard.registerCall('get_schedule', { date: '2026-04-01', teamId: '147' });
+  assert.equal(first.allowed, false);
+  assert.match(first.message, /Duplicate call/);
+  assert.equal(guard.shouldStop(), false, 'one repeat is tolerated');
+
+  guard.registerCall('get_schedule', { teamId: '147', date: '2026-04-01' });
+  assert.equal(guard.stopReason, 'tool_loop_detected');
+  assert.equal(guard.toolCalls, 1, 'rejected calls do not count toward the cap');
+});
+
+test('different arguments are not repeats', () => {
+  const guard = new ToolLoopGuard({ maxToolCalls: 10, budgetMs: 60000 });
+
+  guard.registerCall('get_player_stats', { playerId: '592450', season: 2025 });
+  assert.equal(guard.registerCall('get_player_stats', { playerId: '592450', season: 2026 }).allowed, true);
+  assert.equal(guard.registerCall('get_player_stats', { playerId: '592450', season: '2025' }).allowed, true);
+});
+
+test('reports budget_exceeded once the wall-clock budget is spent', () => {
+  mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  try {
+    const guard = new ToolLoopGuard({ maxToolCalls: 10, budgetMs: 5000 });
+    mock.timers.tick(4000);
+    assert.equal(guard.remainingMs(), 1000);
+    assert.equal(guard.isOverBudget(), false);
+
+    mock.timers.tick(1500);
+    assert.equal(guard.remainingMs(), 0);
+    assert.equal(guard.isOverBudget(), true);
+    assert.equal(guard.stopReason, 'budget_exceeded');
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('keeps the first stop reason', () => {
+  const guard = new ToolLoopGuard({ maxToolCalls: 0, budgetMs: 0 });
+
+  guard.registerCall('get_standings', {});
+  guard.isOverBudget();
+  assert.equal(guard.stopReason, 'max_tool_calls');
+});